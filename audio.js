@@ -0,0 +1,195 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// audio.js
+//
+// Audio payloads and conversion. Clients send recordings as binary
+// Socket.IO attachments, or base64 strings (older mobile clients); speech
+// goes back the same way each listener asked for it.
+//
+// Recordings are converted for transcription in memory where possible: the
+// recording is piped into ffmpeg and 16kHz mono PCM read back, so its
+// duration is known from the byte count as it arrives and over-long
+// recordings are cut off without converting the rest. MP4/M4A recordings
+// (Safari, older mobile clients) usually have their index at the end of
+// the file, which ffmpeg can only reach by seeking, so they go through a
+// temp file that is deleted right after conversion.
+//
+// Temp files (these and the local provider's) are tracked while in use so
+// shutdown can remove the ones in-flight work leaves behind.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import ffmpeg from 'fluent-ffmpeg';
+
+const WAV_SAMPLE_RATE = 16000; // Whisper expects 16kHz mono
+const WAV_BYTES_PER_SECOND = WAV_SAMPLE_RATE * 2; // 16-bit samples
+const WAV_HEADER_SIZE = 44;
+
+// Recording from a socket payload: binary (Buffer, ArrayBuffer or typed
+// array) or a base64 string. Null for anything else.
+function decodeAudioPayload(payload) {
+  if (Buffer.isBuffer(payload)) {
+    return payload;
+  }
+  if (payload instanceof ArrayBuffer) {
+    return Buffer.from(payload);
+  }
+  if (ArrayBuffer.isView(payload)) {
+    return Buffer.from(payload.buffer, payload.byteOffset, payload.byteLength);
+  }
+  if (typeof payload === 'string') {
+    return Buffer.from(payload, 'base64');
+  }
+  return null;
+}
+
+// Speech for a listener: sent as binary unless they only understand base64
+function encodeAudioPayload(audio, binary) {
+  if (!audio) {
+    return null;
+  }
+  return binary ? audio : audio.toString('base64');
+}
+
+// PCM WAV header for 16-bit mono samples
+function wavHeader(dataSize, sampleRate = WAV_SAMPLE_RATE) {
+  const header = Buffer.alloc(WAV_HEADER_SIZE);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);          // fmt chunk size
+  header.writeUInt16LE(1, 20);           // PCM
+  header.writeUInt16LE(1, 22);           // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32);           // block align
+  header.writeUInt16LE(16, 34);          // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(dataSize, 40);
+  return header;
+}
+
+// Length in seconds of a PCM WAV buffer, from the byte rate in its header
+function wavDuration(wav) {
+  if (!wav || wav.length < WAV_HEADER_SIZE) {
+    return 0;
+  }
+  const byteRate = wav.readUInt32LE(28);
+  return byteRate > 0 ? (wav.length - WAV_HEADER_SIZE) / byteRate : 0;
+}
+
+// Temp files written and not yet removed
+const pendingTempFiles = new Set();
+
+// Note temp files as in use until removeTempFiles() deletes them
+function trackTempFiles(...filePaths) {
+  for (const filePath of filePaths) {
+    pendingTempFiles.add(filePath);
+  }
+}
+
+// Delete temp files, or all of them that are still in use when called
+// without arguments (at shutdown)
+function removeTempFiles(...filePaths) {
+  for (const filePath of filePaths.length > 0 ? filePaths : Array.from(pendingTempFiles)) {
+    pendingTempFiles.delete(filePath);
+    fs.rmSync(filePath, { force: true });
+  }
+}
+
+// MP4 family files (mp4, m4a, mov, 3gp) start with one of these boxes
+const MP4_BOX_TYPES = ['ftyp', 'moov', 'mdat', 'wide', 'free'];
+
+function isMp4(buffer) {
+  return buffer.length >= 8 && MP4_BOX_TYPES.includes(buffer.toString('latin1', 4, 8));
+}
+
+// Convert a recording in any format ffmpeg reads to a 16kHz mono WAV
+// buffer. Resolves { wav, duration }. With maxDuration, rejects as soon
+// as the converted audio grows longer than that many seconds. MP4
+// recordings are written to tempDir for ffmpeg to seek in.
+async function convertToWav(audioBuffer, { maxDuration = Infinity, tempDir = null } = {}) {
+  if (!isMp4(audioBuffer) || !tempDir) {
+    return convertInput(Readable.from([audioBuffer]), maxDuration);
+  }
+
+  const inputPath = path.join(tempDir, `rec_${crypto.randomUUID()}.m4a`);
+  trackTempFiles(inputPath);
+  try {
+    await fs.promises.writeFile(inputPath, audioBuffer);
+    return await convertInput(inputPath, maxDuration);
+  } finally {
+    removeTempFiles(inputPath);
+  }
+}
+
+// Run the conversion from a stream or file path, reading PCM from stdout
+function convertInput(input, maxDuration) {
+  return new Promise((resolve, reject) => {
+    const maxBytes = maxDuration * WAV_BYTES_PER_SECOND;
+    const chunks = [];
+    let size = 0;
+    let settled = false;
+
+    const fail = (error) => {
+      if (!settled) {
+        settled = true;
+        reject(error);
+      }
+    };
+
+    const command = ffmpeg(input)
+      .noVideo()
+      .audioFrequency(WAV_SAMPLE_RATE)
+      .audioChannels(1)
+      .audioCodec('pcm_s16le')
+      .format('s16le')
+      .on('error', (error) => fail(error))
+      // Only ends once ffmpeg exited cleanly, so a failed conversion is
+      // never mistaken for a short one
+      .on('end', () => {
+        if (!settled) {
+          settled = true;
+          const pcm = Buffer.concat(chunks, size);
+          resolve({ wav: Buffer.concat([wavHeader(pcm.length), pcm]), duration: pcm.length / WAV_BYTES_PER_SECOND });
+        }
+      });
+
+    command.pipe()
+      .on('data', (chunk) => {
+        if (settled) {
+          return;
+        }
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size > maxBytes) {
+          const error = new Error('Audio duration exceeds maximum limit');
+          error.stage = 'validation';
+          fail(error);
+          command.kill();
+        }
+      });
+  });
+}
+
+export { decodeAudioPayload, encodeAudioPayload, convertToWav, wavDuration, trackTempFiles, removeTempFiles };
@@ -19,6 +19,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,7 +29,7 @@ const MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
 
 function cleanupOldFiles() {
   if (!fs.existsSync(TEMP_DIR)) {
-    console.log('Temp directory does not exist. Creating...');
+    logger.info('Temp directory does not exist, creating it');
     fs.mkdirSync(TEMP_DIR);
     return;
   }
@@ -44,16 +45,18 @@ function cleanupOldFiles() {
     if (age > MAX_AGE) {
       try {
         fs.unlinkSync(filePath);
-        console.log(`Deleted old file: ${file}`);
+        logger.debug('Deleted old temp file', { file });
       } catch (err) {
-        console.error(`Error deleting file ${file}:`, err);
+        logger.error('Failed to delete old temp file', { file, error: err });
       }
     }
   });
 }
 
-// Run cleanup
-cleanupOldFiles();
+// Run cleanup when started as a script (npm run cleanup, cron); the
+// server imports cleanupOldFiles and runs it at startup
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  cleanupOldFiles();
+}
 
-// If running as a scheduled task, you can also export the function
-export { cleanupOldFiles }; 
\ No newline at end of file
+export { cleanupOldFiles };
\ No newline at end of file
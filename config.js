@@ -0,0 +1,324 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// config.js
+//
+// Settings for the server, read from the environment or from an optional
+// JSON file named by CONFIG_FILE whose keys are the same variable names,
+// e.g. { "MAX_AUDIO_DURATION": 120, "RATE_LIMIT_MAX": 300 }. The
+// environment wins over the file, and the file over the defaults below.
+//
+// Every value is checked for its type and range at startup; all problems
+// are reported together and the server refuses to start until they are
+// fixed. Unknown keys in the file are problems too, to catch typos.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { WEBHOOK_EVENTS } from './webhooks.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SECONDS = 1000;
+const MINUTES = 60 * SECONDS;
+const MB = 1024 * 1024;
+
+// Provider names known to providers.js
+const PROVIDER_NAMES = ['openai', 'local', 'fake'];
+
+// name: config key; env: variable (and config file key); secret values
+// are never printed
+const SETTINGS = [
+  // Server and clients
+  { name: 'port', env: 'PORT', type: 'integer', default: 3000, min: 1, max: 65535 },
+  { name: 'appSecret', env: 'APP_SECRET', type: 'string', required: true, secret: true },
+  { name: 'allowedOrigins', env: 'ALLOWED_ORIGINS', type: 'list', required: true },
+  { name: 'mobileInitialKey', env: 'MOBILE_INITIAL_KEY', type: 'string', secret: true },
+  { name: 'sessionTokenTtl', env: 'SESSION_TOKEN_TTL', type: 'integer', default: 15 * MINUTES, min: MINUTES, max: 24 * 60 * MINUTES }, // ms
+  { name: 'refreshTokenTtl', env: 'REFRESH_TOKEN_TTL', type: 'integer', default: 7 * 24 * 60 * MINUTES, min: 60 * MINUTES, max: 90 * 24 * 60 * MINUTES }, // ms
+
+  // Limits
+  { name: 'maxAudioDuration', env: 'MAX_AUDIO_DURATION', type: 'number', default: 60, min: 1, max: 600 }, // seconds
+  { name: 'maxFileSize', env: 'MAX_FILE_SIZE', type: 'integer', default: 10 * MB, min: 64 * 1024, max: 100 * MB }, // bytes
+  { name: 'maxTextMessageLength', env: 'MAX_TEXT_MESSAGE_LENGTH', type: 'integer', default: 2000, min: 1, max: 20000 },
+  { name: 'rateLimitWindow', env: 'RATE_LIMIT_WINDOW_MS', type: 'integer', default: 15 * MINUTES, min: SECONDS, max: 24 * 60 * MINUTES },
+  { name: 'rateLimitMax', env: 'RATE_LIMIT_MAX', type: 'integer', default: 100, min: 1, max: 100000 },
+  { name: 'socketEventRate', env: 'SOCKET_EVENT_RATE', type: 'number', default: 10, min: 0.1, max: 1000 }, // per second, events without their own limit
+  { name: 'socketEventBurst', env: 'SOCKET_EVENT_BURST', type: 'integer', default: 30, min: 1, max: 10000 },
+
+  // Utterance processing queue
+  { name: 'queueConcurrency', env: 'QUEUE_CONCURRENCY', type: 'integer', default: 4, min: 1, max: 256 },
+  { name: 'queueMaxPending', env: 'QUEUE_MAX_PENDING', type: 'integer', default: 50, min: 0, max: 10000 },
+  { name: 'queueMaxPendingPerRoom', env: 'QUEUE_MAX_PENDING_PER_ROOM', type: 'integer', default: 10, min: 0, max: 10000 },
+
+  // Socket.IO timeouts (ms)
+  { name: 'socketPingTimeout', env: 'SOCKET_PING_TIMEOUT', type: 'integer', default: 45 * SECONDS, min: SECONDS, max: 10 * MINUTES },
+  { name: 'socketPingInterval', env: 'SOCKET_PING_INTERVAL', type: 'integer', default: 20 * SECONDS, min: SECONDS, max: 10 * MINUTES },
+  { name: 'socketUpgradeTimeout', env: 'SOCKET_UPGRADE_TIMEOUT', type: 'integer', default: 15 * SECONDS, min: SECONDS, max: 10 * MINUTES },
+  { name: 'socketConnectTimeout', env: 'SOCKET_CONNECT_TIMEOUT', type: 'integer', default: 60 * SECONDS, min: SECONDS, max: 10 * MINUTES },
+
+  // Speech, translation and text-to-speech providers; a stage without its
+  // own provider uses AI_PROVIDER
+  { name: 'aiProvider', env: 'AI_PROVIDER', type: 'string', default: 'openai', oneOf: PROVIDER_NAMES },
+  { name: 'transcriptionProvider', env: 'TRANSCRIPTION_PROVIDER', type: 'string', oneOf: PROVIDER_NAMES },
+  { name: 'translationProvider', env: 'TRANSLATION_PROVIDER', type: 'string', oneOf: PROVIDER_NAMES },
+  { name: 'speechProvider', env: 'TTS_PROVIDER', type: 'string', oneOf: PROVIDER_NAMES },
+  { name: 'roomProviders', env: 'ROOM_PROVIDERS', type: 'list', default: [], oneOf: PROVIDER_NAMES }, // providers a room may opt into
+  { name: 'openaiApiKey', env: 'OPENAI_API_KEY', type: 'string', secret: true },
+
+  // Engines of the local provider
+  { name: 'whisperCppBin', env: 'WHISPER_CPP_BIN', type: 'string', default: 'whisper-cli' },
+  { name: 'whisperCppModel', env: 'WHISPER_CPP_MODEL', type: 'string' },
+  { name: 'localTranslationUrl', env: 'LOCAL_TRANSLATION_URL', type: 'string' },
+  { name: 'localTranslationModel', env: 'LOCAL_TRANSLATION_MODEL', type: 'string' },
+  { name: 'localTtsEngine', env: 'LOCAL_TTS_ENGINE', type: 'string', default: 'espeak', oneOf: ['espeak', 'piper'] },
+  { name: 'espeakBin', env: 'ESPEAK_BIN', type: 'string', default: 'espeak-ng' },
+  { name: 'piperBin', env: 'PIPER_BIN', type: 'string', default: 'piper' },
+  { name: 'piperModel', env: 'PIPER_MODEL', type: 'string' },
+
+  // Fake provider, for tests
+  { name: 'fakeProviderDelay', env: 'FAKE_PROVIDER_DELAY_MS', type: 'integer', default: 0, min: 0, max: MINUTES },
+  { name: 'fakeFailLanguages', env: 'FAKE_FAIL_LANGUAGES', type: 'list', default: [] }, // translations to these fail
+  { name: 'fakeDetectedLanguage', env: 'FAKE_DETECTED_LANGUAGE', type: 'string', default: 'en' },
+  { name: 'fakeTranscript', env: 'FAKE_TRANSCRIPT', type: 'string' },
+
+  // Models of the openai provider; the temperature applies to local translation too
+  { name: 'transcriptionModel', env: 'OPENAI_TRANSCRIPTION_MODEL', type: 'string', default: 'whisper-1' },
+  { name: 'translationModel', env: 'OPENAI_TRANSLATION_MODEL', type: 'string', default: 'gpt-4o-mini' },
+  { name: 'speechModel', env: 'OPENAI_TTS_MODEL', type: 'string', default: 'tts-1' },
+  { name: 'translationTemperature', env: 'TRANSLATION_TEMPERATURE', type: 'number', default: 0.3, min: 0, max: 2 },
+
+  // Conversation
+  { name: 'transcriptHistory', env: 'TRANSCRIPT_HISTORY', type: 'boolean', default: true },
+  { name: 'transcriptMaxEntries', env: 'TRANSCRIPT_MAX_ENTRIES', type: 'integer', default: 1000, min: 1, max: 100000 },
+  { name: 'replayBacklogSize', env: 'REPLAY_BACKLOG_SIZE', type: 'integer', default: 20, min: 0, max: 500 },
+  { name: 'fanoutConcurrency', env: 'FANOUT_CONCURRENCY', type: 'integer', default: 4, min: 1, max: 64 },
+  { name: 'autoAssignVoices', env: 'AUTO_ASSIGN_VOICES', type: 'boolean', default: false },
+  { name: 'translationContextTurns', env: 'TRANSLATION_CONTEXT_TURNS', type: 'integer', default: 6, min: 0, max: 20 },
+  { name: 'translationContextTokens', env: 'TRANSLATION_CONTEXT_TOKENS', type: 'integer', default: 800, min: 0, max: 32000 },
+
+  // Usage budgets (estimated USD, 0 for no cap)
+  { name: 'roomBudget', env: 'ROOM_BUDGET', type: 'number', default: 0, min: 0 },
+  { name: 'deploymentBudget', env: 'DEPLOYMENT_BUDGET', type: 'number', default: 0, min: 0 },
+  { name: 'usageApiKey', env: 'USAGE_API_KEY', type: 'string', secret: true },
+
+  // List prices of the openai provider's models (USD)
+  { name: 'priceAudioMinute', env: 'PRICE_AUDIO_MINUTE', type: 'number', default: 0.006, min: 0 },
+  { name: 'priceInputTokens', env: 'PRICE_INPUT_TOKENS_PER_MILLION', type: 'number', default: 0.15, min: 0 },
+  { name: 'priceOutputTokens', env: 'PRICE_OUTPUT_TOKENS_PER_MILLION', type: 'number', default: 0.60, min: 0 },
+  { name: 'priceTtsCharacters', env: 'PRICE_TTS_CHARACTERS_PER_MILLION', type: 'number', default: 15, min: 0 },
+
+  // Logging and tools
+  { name: 'logLevel', env: 'LOG_LEVEL', type: 'string', oneOf: ['debug', 'info', 'warn', 'error'] }, // by NODE_ENV when unset, see logger.js
+  { name: 'logRedact', env: 'LOG_REDACT', type: 'boolean', default: true },
+  { name: 'ffmpegPath', env: 'FFMPEG_PATH', type: 'string', default: 'ffmpeg' },
+
+  // Monitoring and lifecycle
+  { name: 'metricsPort', env: 'METRICS_PORT', type: 'integer', min: 1, max: 65535 },
+  { name: 'metricsToken', env: 'METRICS_TOKEN', type: 'string', secret: true },
+  { name: 'adminApiKey', env: 'ADMIN_API_KEY', type: 'string', secret: true },
+  { name: 'shutdownTimeout', env: 'SHUTDOWN_TIMEOUT', type: 'integer', default: 25 * SECONDS, min: 0, max: 10 * MINUTES },
+
+  // Webhooks
+  { name: 'webhookUrls', env: 'WEBHOOK_URLS', type: 'list', default: [] },
+  { name: 'webhookEvents', env: 'WEBHOOK_EVENTS', type: 'list', default: [], oneOf: WEBHOOK_EVENTS }, // empty for every event
+  { name: 'webhookSecret', env: 'WEBHOOK_SECRET', type: 'string', secret: true },
+  { name: 'webhookAllowedHosts', env: 'WEBHOOK_ALLOWED_HOSTS', type: 'list', default: [] }, // hosts room webhooks may be sent to
+  { name: 'webhookMaxAttempts', env: 'WEBHOOK_MAX_ATTEMPTS', type: 'integer', default: 5, min: 1, max: 20 },
+  { name: 'webhookRetryDelay', env: 'WEBHOOK_RETRY_DELAY', type: 'integer', default: 2 * SECONDS, min: 100, max: 10 * MINUTES }, // ms, doubled for every retry
+  { name: 'webhookTimeout', env: 'WEBHOOK_TIMEOUT', type: 'integer', default: 10 * SECONDS, min: SECONDS, max: MINUTES },
+
+  // Room state
+  { name: 'roomStore', env: 'ROOM_STORE', type: 'string', default: 'memory', oneOf: ['memory', 'file', 'redis'] },
+  { name: 'roomStoreFile', env: 'ROOM_STORE_FILE', type: 'string', default: path.join(__dirname, 'data', 'rooms.json') },
+  { name: 'redisUrl', env: 'REDIS_URL', type: 'string', secret: true }
+];
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Turn an env string or config file value into the setting's type, or
+// return a description of what is wrong with it
+function parseValue(setting, raw) {
+  switch (setting.type) {
+    case 'integer':
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (String(raw).trim() === '' || !Number.isFinite(value)) {
+        return { problem: 'must be a number' };
+      }
+      if (setting.type === 'integer' && !Number.isInteger(value)) {
+        return { problem: 'must be a whole number' };
+      }
+      if (setting.min !== undefined && value < setting.min) {
+        return { problem: `must be at least ${setting.min}` };
+      }
+      if (setting.max !== undefined && value > setting.max) {
+        return { problem: `must be at most ${setting.max}` };
+      }
+      return { value };
+    }
+    case 'boolean':
+      if (raw === true || raw === 'true') {
+        return { value: true };
+      }
+      if (raw === false || raw === 'false') {
+        return { value: false };
+      }
+      return { problem: 'must be true or false' };
+    case 'list': {
+      const items = Array.isArray(raw) ? raw.map(String) : String(raw).split(',');
+      const value = items.map(item => item.trim()).filter(Boolean);
+      if (value.length === 0) {
+        return { problem: 'must list at least one value' };
+      }
+      const unknown = setting.oneOf ? value.filter(item => !setting.oneOf.includes(item)) : [];
+      if (unknown.length > 0) {
+        return { problem: `can only list ${setting.oneOf.join(', ')}` };
+      }
+      return { value };
+    }
+    default: {
+      if (typeof raw !== 'string' && typeof raw !== 'number') {
+        return { problem: 'must be a string' };
+      }
+      const value = String(raw).trim();
+      if (setting.oneOf && !setting.oneOf.includes(value)) {
+        return { problem: `must be one of ${setting.oneOf.join(', ')}` };
+      }
+      return { value };
+    }
+  }
+}
+
+function readConfigFile(filePath, problems) {
+  try {
+    const values = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      problems.push(`CONFIG_FILE ${filePath} must contain a JSON object`);
+      return {};
+    }
+    const known = new Set(SETTINGS.map(setting => setting.env));
+    for (const key of Object.keys(values)) {
+      if (!known.has(key)) {
+        problems.push(`CONFIG_FILE ${filePath}: unknown setting ${key}`);
+      }
+    }
+    return values;
+  } catch (error) {
+    problems.push(`CONFIG_FILE ${filePath} could not be read: ${error.message}`);
+    return {};
+  }
+}
+
+// Build the configuration from the environment and CONFIG_FILE. Throws a
+// ConfigError listing every problem found.
+function loadConfig(env = process.env) {
+  const problems = [];
+  const fileValues = env.CONFIG_FILE ? readConfigFile(env.CONFIG_FILE, problems) : {};
+  const config = {};
+
+  for (const setting of SETTINGS) {
+    const fromEnv = env[setting.env] !== undefined && env[setting.env] !== '';
+    const raw = fromEnv ? env[setting.env] : fileValues[setting.env];
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (setting.required) {
+        problems.push(`${setting.env} is required`);
+      }
+      config[setting.name] = setting.default ?? null;
+      continue;
+    }
+
+    // An invalid value is reported and replaced by the default, so the
+    // checks below always see the setting's type
+    const { value, problem } = parseValue(setting, raw);
+    if (problem) {
+      problems.push(`${setting.env} ${problem} (got ${setting.secret ? 'a hidden value' : JSON.stringify(raw)})`);
+      config[setting.name] = setting.default ?? null;
+    } else {
+      config[setting.name] = value;
+    }
+  }
+
+  // Settings that only make sense together
+  if (config.roomStore === 'redis' && !config.redisUrl) {
+    problems.push('REDIS_URL is required for ROOM_STORE=redis');
+  }
+  if (config.metricsPort && config.metricsPort === config.port) {
+    problems.push('METRICS_PORT must differ from PORT');
+  }
+  const providers = new Set([
+    config.transcriptionProvider || config.aiProvider,
+    config.translationProvider || config.aiProvider,
+    config.speechProvider || config.aiProvider,
+    ...config.roomProviders
+  ]);
+  if (providers.has('openai') && !config.openaiApiKey) {
+    problems.push('OPENAI_API_KEY is required for the openai provider');
+  }
+  if (providers.has('local')) {
+    if (!config.whisperCppModel) {
+      problems.push('WHISPER_CPP_MODEL is required for the local provider');
+    }
+    if (!config.localTranslationUrl || !config.localTranslationModel) {
+      problems.push('LOCAL_TRANSLATION_URL and LOCAL_TRANSLATION_MODEL are required for the local provider');
+    }
+    if (config.localTtsEngine === 'piper' && !config.piperModel) {
+      problems.push('PIPER_MODEL is required when LOCAL_TTS_ENGINE is piper');
+    }
+  }
+  if (config.webhookUrls.length > 0 && !config.webhookSecret) {
+    problems.push('WEBHOOK_SECRET is required for WEBHOOK_URLS');
+  }
+  for (const url of config.webhookUrls) {
+    if (!/^https?:\/\/[^/]/.test(url)) {
+      problems.push(`WEBHOOK_URLS must list http(s) URLs (got ${JSON.stringify(url)})`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return Object.freeze(config);
+}
+
+// The configuration with secrets masked, for logging at startup
+function describeConfig(config) {
+  return Object.fromEntries(SETTINGS.map(setting => {
+    const value = config[setting.name];
+    return [setting.name, setting.secret && value ? '[set]' : value];
+  }));
+}
+
+// The process-wide configuration, loaded on first use
+let currentConfig = null;
+
+function getConfig() {
+  currentConfig ??= loadConfig();
+  return currentConfig;
+}
+
+export { ConfigError, loadConfig, describeConfig, getConfig };
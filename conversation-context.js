@@ -0,0 +1,63 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// conversation-context.js
+//
+// Recent turns of a room's conversation, handed to the translator so
+// pronouns, ellipses and follow-ups ("yes, the second one") are resolved
+// and terminology, formality and gender stay consistent between turns.
+
+// Rough token estimate (about four characters per token for most scripts)
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// Pick the most recent transcript entries that fit in the budget and render
+// each as { speaker, text, translation } for the given target language:
+// text is the original, translation what listeners of targetLanguage
+// received (absent when the turn was already in that language or failed).
+// Entries are returned oldest first.
+function buildTranslationContext(entries, { targetLanguage, maxTurns, maxTokens }) {
+  if (!entries?.length || maxTurns <= 0 || maxTokens <= 0) {
+    return [];
+  }
+
+  const recent = [...entries]
+    .sort((a, b) => a.startedAt - b.startedAt)
+    .slice(-maxTurns);
+
+  const context = [];
+  let tokens = 0;
+  // Walk back from the newest turn so the oldest ones are dropped first
+  for (let i = recent.length - 1; i >= 0; i--) {
+    const entry = recent[i];
+    const turn = { speaker: entry.speaker, text: entry.text };
+    if (entry.language !== targetLanguage && entry.translations?.[targetLanguage]) {
+      turn.translation = entry.translations[targetLanguage];
+    }
+
+    const turnTokens = estimateTokens(`${turn.speaker}${turn.text}${turn.translation || ''}`);
+    if (tokens + turnTokens > maxTokens) {
+      break;
+    }
+    tokens += turnTokens;
+    context.unshift(turn);
+  }
+
+  return context;
+}
+
+export { buildTranslationContext, estimateTokens };
@@ -0,0 +1,199 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// glossary.js
+//
+// Per-room glossaries keep product names, technical terms and people's names
+// consistent. A glossary is a list of entries:
+//   { term: 'Interpify', doNotTranslate: true }
+//   { term: 'heart attack', translations: { en: 'heart attack', fr: 'crise cardiaque' } }
+// term is the canonical form, used for any language without its own rendering.
+//
+// Hosts upload glossaries as JSON (that list, or { entries: [...] }) or CSV:
+//   term,fr,de,do_not_translate
+//   heart attack,crise cardiaque,Herzinfarkt,
+//   Interpify,,,yes
+
+const MAX_GLOSSARY_ENTRIES = 500;
+const MAX_TERM_LENGTH = 100;
+// Whisper only looks at the last 224 tokens of its prompt
+const MAX_TRANSCRIPTION_HINT_LENGTH = 800;
+
+const YES_VALUES = new Set(['1', 'true', 'yes', 'y', 'x']);
+
+// Split CSV text into rows of fields, honouring quoted fields ("a, b" and "")
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+function entriesFromCsv(content) {
+  const [header, ...rows] = parseCsv(content);
+  if (!header) {
+    return [];
+  }
+  const columns = header.map(name => name.trim());
+  const termIndex = columns.findIndex(name => name.toLowerCase() === 'term');
+  if (termIndex === -1) {
+    throw new Error('CSV glossary needs a "term" column');
+  }
+
+  return rows.map(fields => {
+    const entry = { term: fields[termIndex], translations: {} };
+    columns.forEach((name, index) => {
+      const value = (fields[index] || '').trim();
+      if (index === termIndex || !value) return;
+      if (name.toLowerCase() === 'do_not_translate') {
+        entry.doNotTranslate = YES_VALUES.has(value.toLowerCase());
+      } else {
+        entry.translations[name] = value;
+      }
+    });
+    return entry;
+  });
+}
+
+function entriesFromJson(content) {
+  const parsed = JSON.parse(content);
+  const entries = Array.isArray(parsed) ? parsed : parsed?.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error('expected a list of entries or { "entries": [...] }');
+  }
+  return entries;
+}
+
+// Validate and normalize uploaded glossary content. Throws with a message
+// suitable for the uploader when the content is unusable.
+function parseGlossary(content, format) {
+  if (typeof content !== 'string') {
+    throw new Error('Glossary content must be text');
+  }
+
+  let rawEntries;
+  try {
+    rawEntries = format === 'csv' ? entriesFromCsv(content) : entriesFromJson(content);
+  } catch (error) {
+    throw new Error(`Invalid ${format === 'csv' ? 'CSV' : 'JSON'} glossary: ${error.message}`);
+  }
+
+  if (rawEntries.length > MAX_GLOSSARY_ENTRIES) {
+    throw new Error(`Glossaries are limited to ${MAX_GLOSSARY_ENTRIES} entries`);
+  }
+
+  return rawEntries.map((entry, index) => {
+    const term = typeof entry?.term === 'string' ? entry.term.trim() : '';
+    if (!term || term.length > MAX_TERM_LENGTH) {
+      throw new Error(`Glossary entry ${index + 1} needs a term of at most ${MAX_TERM_LENGTH} characters`);
+    }
+    const translations = {};
+    for (const [language, text] of Object.entries(entry.translations || {})) {
+      if (typeof text === 'string' && text.trim()) {
+        translations[language] = text.trim().substring(0, MAX_TERM_LENGTH);
+      }
+    }
+    return { term, translations, doNotTranslate: Boolean(entry.doNotTranslate) };
+  });
+}
+
+// The entry's own rendering in a language, if it has one
+const translationIn = (entry, language) => Object.hasOwn(entry.translations, language)
+  ? entry.translations[language]
+  : null;
+
+// How an entry is written in a language
+const renderingIn = (entry, language) => entry.doNotTranslate
+  ? entry.term
+  : translationIn(entry, language) || entry.term;
+
+const containsTerm = (text, term) => text.toLocaleLowerCase().includes(term.toLocaleLowerCase());
+
+// Entries whose source-language form appears in the text, as
+// { source, target, doNotTranslate } pairs for the translation prompt.
+// Entries without a rendering in the target language are skipped.
+function glossaryTermsFor(glossary, text, sourceLanguage, targetLanguage) {
+  if (!glossary?.length || !text) {
+    return [];
+  }
+  return glossary
+    .filter(entry => entry.doNotTranslate || translationIn(entry, targetLanguage))
+    .map(entry => ({
+      source: renderingIn(entry, sourceLanguage),
+      target: renderingIn(entry, targetLanguage),
+      doNotTranslate: entry.doNotTranslate
+    }))
+    .filter(({ source }) => containsTerm(text, source));
+}
+
+// Vocabulary hint for speech recognition in the given language
+function transcriptionHint(glossary, language) {
+  if (!glossary?.length) {
+    return undefined;
+  }
+  let hint = '';
+  for (const entry of glossary) {
+    const next = hint ? `${hint}, ${renderingIn(entry, language)}` : renderingIn(entry, language);
+    if (next.length > MAX_TRANSCRIPTION_HINT_LENGTH) break;
+    hint = next;
+  }
+  return hint || undefined;
+}
+
+// Post-check a translation: the glossary terms found in the source text
+// whose required rendering is missing from the translated text
+function findGlossaryMisses(glossary, { text, translatedText, sourceLanguage, targetLanguage }) {
+  return glossaryTermsFor(glossary, text, sourceLanguage, targetLanguage)
+    .filter(({ target }) => !containsTerm(translatedText, target))
+    .map(({ source, target }) => ({ term: source, expected: target }));
+}
+
+export { parseGlossary, glossaryTermsFor, transcriptionHint, findGlossaryMisses };
@@ -0,0 +1,90 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// health.js
+//
+// Dependency checks behind the /healthz and /readyz endpoints. A check is an
+// async function that throws when what it checks is unusable. Reports look
+// like:
+//   { status: 'ok' | 'fail', checks: { ffmpeg: { ok: true }, tempDir: { ok: false, error } } }
+
+import fs from 'fs';
+import path from 'path';
+import { execFile } from 'child_process';
+
+const CHECK_TIMEOUT = 3000; // ms before a hanging check counts as failed
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// ffmpeg (the FFMPEG_PATH setting) has to run, not just be on the PATH
+function checkFfmpeg(ffmpegPath = 'ffmpeg') {
+  return new Promise((resolve, reject) => {
+    execFile(ffmpegPath, ['-version'], { timeout: CHECK_TIMEOUT }, (error) => {
+      if (error) {
+        reject(new Error(`ffmpeg is not runnable: ${error.message}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+// MP4 recordings and the local provider's engines go through temp files,
+// so the directory must take writes
+async function checkWritableDir(dir) {
+  const probePath = path.join(dir, `.health_${process.pid}_${Date.now()}`);
+  await fs.promises.writeFile(probePath, '');
+  await fs.promises.unlink(probePath);
+}
+
+// Build a function that runs the named checks in parallel and reports on
+// them. Reports are reused for cacheMs so frequent probes stay cheap.
+function createHealthCheck(checks, { cacheMs = 5000 } = {}) {
+  let cached = null;
+
+  return async () => {
+    if (cached && Date.now() - cached.at < cacheMs) {
+      return cached.report;
+    }
+
+    const results = await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+      try {
+        await withTimeout(Promise.resolve().then(check), CHECK_TIMEOUT);
+        return [name, { ok: true }];
+      } catch (error) {
+        return [name, { ok: false, error: error.message }];
+      }
+    }));
+
+    const report = {
+      status: results.every(([, result]) => result.ok) ? 'ok' : 'fail',
+      checks: Object.fromEntries(results)
+    };
+    cached = { at: Date.now(), report };
+    return report;
+  };
+}
+
+export { checkFfmpeg, checkWritableDir, createHealthCheck };
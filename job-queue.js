@@ -0,0 +1,147 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// job-queue.js
+//
+// Bounded queue for utterance processing. At most `concurrency` jobs run at
+// once across the whole instance; the rest wait, and rooms take turns so a
+// busy room cannot starve a quiet one. When the queue (or a room's share
+// of it) is full, new jobs are refused with a QueueFullError instead of
+// piling up behind work that may never finish.
+
+class QueueFullError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueueFullError';
+  }
+}
+
+// Options:
+//   concurrency      jobs running at once
+//   maxPending       jobs waiting in total before new ones are refused
+//   maxPendingPerRoom jobs one room may have waiting
+function createJobQueue({ concurrency, maxPending, maxPendingPerRoom }) {
+  // Waiting jobs per room; Map order is the round-robin order
+  const waiting = new Map();
+  let pendingCount = 0;
+  let running = 0;
+
+  // Waiting jobs in the order they will start: one from each room in
+  // turn, starting with the room at the front
+  function startOrder() {
+    const queues = Array.from(waiting.values());
+    const order = [];
+    for (let depth = 0; order.length < pendingCount; depth++) {
+      for (const jobs of queues) {
+        if (depth < jobs.length) {
+          order.push(jobs[depth]);
+        }
+      }
+    }
+    return order;
+  }
+
+  function notifyPositions() {
+    startOrder().forEach((job, index) => {
+      if (job.position !== index + 1) {
+        job.position = index + 1;
+        job.onQueued?.(job.position);
+      }
+    });
+  }
+
+  function execute(job) {
+    running++;
+    job.onStart?.();
+    Promise.resolve()
+      .then(job.run)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        running--;
+        startNext();
+      });
+  }
+
+  function startNext() {
+    let started = false;
+    while (running < concurrency && pendingCount > 0) {
+      // Take the front room's oldest job and send the room to the back
+      const [roomId, jobs] = waiting.entries().next().value;
+      const job = jobs.shift();
+      waiting.delete(roomId);
+      if (jobs.length > 0) {
+        waiting.set(roomId, jobs);
+      }
+      pendingCount--;
+      started = true;
+      execute(job);
+    }
+    if (started) {
+      notifyPositions();
+    }
+  }
+
+  // Run a job for a room now or once a slot frees up. onQueued(position)
+  // is called when the job has to wait and whenever its place in line
+  // changes, onStart when it starts. Resolves with the job's result;
+  // rejects with a QueueFullError when there is no room to wait.
+  function enqueue(roomId, run, { onQueued, onStart } = {}) {
+    return new Promise((resolve, reject) => {
+      const job = { run, resolve, reject, onQueued, onStart, position: 0 };
+
+      if (running < concurrency && pendingCount === 0) {
+        execute(job);
+        return;
+      }
+
+      const roomJobs = waiting.get(roomId) || [];
+      if (pendingCount >= maxPending) {
+        reject(new QueueFullError('The server is busy, please try again in a moment'));
+        return;
+      }
+      if (roomJobs.length >= maxPendingPerRoom) {
+        reject(new QueueFullError('Too many messages from this room are waiting, please slow down'));
+        return;
+      }
+
+      roomJobs.push(job);
+      waiting.set(roomId, roomJobs);
+      pendingCount++;
+      notifyPositions();
+    });
+  }
+
+  // Run a job only if a slot is free right now and nobody is waiting.
+  // For optional work such as interim captions. Returns the job's promise,
+  // or null when it was not started.
+  function tryRun(run) {
+    if (running >= concurrency || pendingCount > 0) {
+      return null;
+    }
+    return new Promise((resolve, reject) => execute({ run, resolve, reject }));
+  }
+
+  return {
+    enqueue,
+    tryRun,
+    stats: () => ({ running, pending: pendingCount, rooms: waiting.size })
+  };
+}
+
+export { QueueFullError, createJobQueue };
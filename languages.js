@@ -0,0 +1,120 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// Language names for better prompts
+const LANGUAGE_NAMES = {
+  af: 'Afrikaans',
+  sq: 'Albanian',
+  am: 'Amharic',
+  ar: 'Arabic',
+  hy: 'Armenian',
+  az: 'Azerbaijani',
+  eu: 'Basque',
+  be: 'Belarusian',
+  bn: 'Bengali',
+  bs: 'Bosnian',
+  bg: 'Bulgarian',
+  ca: 'Catalan',
+  'zh-CN': 'Chinese Simplified',
+  'zh-TW': 'Chinese Traditional',
+  hr: 'Croatian',
+  cs: 'Czech',
+  da: 'Danish',
+  nl: 'Dutch',
+  en: 'English',
+  et: 'Estonian',
+  fi: 'Finnish',
+  fr: 'French',
+  ka: 'Georgian',
+  de: 'German',
+  el: 'Greek',
+  gu: 'Gujarati',
+  ht: 'Haitian Creole',
+  he: 'Hebrew',
+  hi: 'Hindi',
+  hu: 'Hungarian',
+  is: 'Icelandic',
+  ig: 'Igbo',
+  id: 'Indonesian',
+  ga: 'Irish',
+  it: 'Italian',
+  ja: 'Japanese',
+  jv: 'Javanese',
+  kk: 'Kazakh',
+  km: 'Khmer',
+  ko: 'Korean',
+  ku: 'Kurdish',
+  lv: 'Latvian',
+  lt: 'Lithuanian',
+  mk: 'Macedonian',
+  ms: 'Malay',
+  mt: 'Maltese',
+  mr: 'Marathi',
+  mn: 'Mongolian',
+  ne: 'Nepali',
+  no: 'Norwegian',
+  fa: 'Persian',
+  pl: 'Polish',
+  pt: 'Portuguese',
+  pa: 'Punjabi',
+  ro: 'Romanian',
+  ru: 'Russian',
+  sr: 'Serbian',
+  si: 'Sinhala',
+  sk: 'Slovak',
+  sl: 'Slovenian',
+  so: 'Somali',
+  es: 'Spanish',
+  sw: 'Swahili',
+  sv: 'Swedish',
+  ta: 'Tamil',
+  te: 'Telugu',
+  th: 'Thai',
+  tr: 'Turkish',
+  uk: 'Ukrainian',
+  ur: 'Urdu',
+  uz: 'Uzbek',
+  vi: 'Vietnamese',
+  cy: 'Welsh',
+  xh: 'Xhosa',
+  yo: 'Yoruba',
+  zu: 'Zulu'
+};
+
+// Map a detected language, given as a code ('fr', 'zh') or an English name
+// ('french', 'chinese') as speech recognizers report it, to a supported
+// language code. Returns null for languages Interpify doesn't support.
+function resolveLanguage(value) {
+  if (!value) {
+    return null;
+  }
+  if (Object.hasOwn(LANGUAGE_NAMES, value)) {
+    return value;
+  }
+
+  const wanted = String(value).toLowerCase();
+  const codes = Object.keys(LANGUAGE_NAMES);
+  return codes.find(code => code.toLowerCase() === wanted) ||
+    codes.find(code => LANGUAGE_NAMES[code].toLowerCase() === wanted) ||
+    // Regional variants: 'zh' or 'chinese' resolve to the first listed variant
+    codes.find(code => code.toLowerCase().startsWith(`${wanted}-`)) ||
+    codes.find(code => LANGUAGE_NAMES[code].toLowerCase().startsWith(`${wanted} `)) ||
+    null;
+}
+
+export { LANGUAGE_NAMES, resolveLanguage };
@@ -0,0 +1,123 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// logger.js
+//
+// Structured logging: one JSON object per line, e.g.
+//   {"time":"...","level":"info","msg":"User joined room","socketId":"...","roomId":"..."}
+// LOG_LEVEL sets the lowest level written (debug, info, warn or error). It
+// defaults to debug in development, warn under test and error otherwise,
+// so production only logs errors. Notices, such as the effective
+// configuration at startup, are written at every level.
+//
+// Fields that can hold what people said or who they are (transcripts,
+// translations, audio, usernames) are redacted unless LOG_REDACT=false.
+// Both settings come from config.js through configureLogger(); until then
+// the defaults apply, so configuration errors can be logged too.
+// Child loggers carry correlation IDs (socketId, roomId, utteranceId) into
+// every record they write.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, notice: 50 };
+
+const DEFAULT_LEVELS = { development: 'debug', test: 'warn' };
+
+const REDACTED_FIELDS = new Set([
+  'text', 'transcript', 'transcription', 'translation', 'translatedText',
+  'audio', 'audioData', 'chunk', 'username', 'speaker', 'glossary'
+]);
+
+let redact = true;
+let minimumLevel = LEVELS[DEFAULT_LEVELS[process.env.NODE_ENV] || 'error'];
+
+// Apply the LOG_LEVEL and LOG_REDACT settings; a null level keeps the
+// NODE_ENV default
+function configureLogger({ level, redact: redactFields }) {
+  if (level) {
+    minimumLevel = LEVELS[level];
+  }
+  redact = redactFields;
+}
+
+// Errors keep their name, message, pipeline stage and stack
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.stage && { stage: error.stage }),
+    ...(error.code && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+function sanitize(value, depth = 0) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[${value.length} bytes]`;
+  }
+  if (Array.isArray(value)) {
+    return depth > 3 ? '[array]' : value.map(item => sanitize(item, depth + 1));
+  }
+  if (value && typeof value === 'object') {
+    if (depth > 3) {
+      return '[object]';
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [
+      key,
+      redact && REDACTED_FIELDS.has(key) && fieldValue != null ? '[redacted]' : sanitize(fieldValue, depth + 1)
+    ]));
+  }
+  return value;
+}
+
+function write(level, context, msg, fields) {
+  if (LEVELS[level] < minimumLevel) {
+    return;
+  }
+  const record = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...sanitize({ ...context, ...fields })
+  };
+  let line;
+  try {
+    line = JSON.stringify(record);
+  } catch {
+    line = JSON.stringify({ time: record.time, level, msg, note: 'fields could not be serialized' });
+  }
+  (level === 'warn' || level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+// A logger whose records all include the given context fields
+function createLogger(context = {}) {
+  return {
+    debug: (msg, fields) => write('debug', context, msg, fields),
+    info: (msg, fields) => write('info', context, msg, fields),
+    warn: (msg, fields) => write('warn', context, msg, fields),
+    error: (msg, fields) => write('error', context, msg, fields),
+    notice: (msg, fields) => write('notice', context, msg, fields),
+    child: (fields) => createLogger({ ...context, ...fields })
+  };
+}
+
+const logger = createLogger();
+
+export { logger, configureLogger };
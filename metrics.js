@@ -0,0 +1,177 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// metrics.js
+//
+// Prometheus metrics. Pipeline stages are timed where they run (see
+// getPipeline in providers.js and the ffmpeg conversion in server.js), and
+// errors thrown by a stage carry its name in error.stage so failures can be
+// counted by category.
+
+import client from 'prom-client';
+import { LANGUAGE_NAMES } from './languages.js';
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'interpify_' });
+
+// Speech is slow: buckets reach well past the 60 second clip limit
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 4, 8, 15, 30, 60, 120];
+
+const stageDuration = new client.Histogram({
+  name: 'interpify_stage_duration_seconds',
+  help: 'Latency of a pipeline stage (conversion, transcription, translation, synthesis)',
+  labelNames: ['stage', 'provider', 'outcome'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry]
+});
+
+const deliveryLatency = new client.Histogram({
+  name: 'interpify_delivery_latency_seconds',
+  help: 'Time from the end of an utterance to its delivery, per target language',
+  labelNames: ['language'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry]
+});
+
+const utterancesProcessed = new client.Counter({
+  name: 'interpify_utterances_processed_total',
+  help: 'Utterances delivered to the room',
+  labelNames: ['source'],
+  registers: [registry]
+});
+
+const utterancesFailed = new client.Counter({
+  name: 'interpify_utterances_failed_total',
+  help: 'Utterances, or language groups of an utterance, that could not be delivered',
+  labelNames: ['source', 'category'],
+  registers: [registry]
+});
+
+// Room counts come from a callback the server sets, read on every scrape
+let readRoomState = async () => ({ rooms: 0, users: 0, sockets: 0 });
+
+const roomStateGauge = (name, help, key) => new client.Gauge({
+  name,
+  help,
+  registers: [registry],
+  async collect() {
+    this.set((await readRoomState())[key]);
+  }
+});
+
+roomStateGauge('interpify_active_rooms', 'Rooms in the room store', 'rooms');
+roomStateGauge('interpify_active_users', 'Users in rooms of the room store', 'users');
+roomStateGauge('interpify_connected_sockets', 'Sockets connected to this instance', 'sockets');
+
+function setRoomStateReader(reader) {
+  readRoomState = reader;
+}
+
+// Queue depth comes from the job queue's stats, also read on every scrape
+let readQueueStats = () => ({ running: 0, pending: 0 });
+
+new client.Gauge({
+  name: 'interpify_queue_running',
+  help: 'Utterances being processed on this instance',
+  registers: [registry],
+  collect() {
+    this.set(readQueueStats().running);
+  }
+});
+
+new client.Gauge({
+  name: 'interpify_queue_pending',
+  help: 'Utterances waiting for a processing slot on this instance',
+  registers: [registry],
+  collect() {
+    this.set(readQueueStats().pending);
+  }
+});
+
+function setQueueStatsReader(reader) {
+  readQueueStats = reader;
+}
+
+const socketEventsLimited = new client.Counter({
+  name: 'interpify_socket_events_limited_total',
+  help: 'Socket events dropped by the per-socket rate limits',
+  labelNames: ['event'],
+  registers: [registry]
+});
+
+const webhookDeliveries = new client.Counter({
+  name: 'interpify_webhook_deliveries_total',
+  help: 'Webhook delivery attempts by outcome (delivered, retried, failed)',
+  labelNames: ['event', 'outcome'],
+  registers: [registry]
+});
+
+// Run one pipeline stage and record how long it took. Errors are rethrown
+// with the stage attached, unless an inner stage already claimed them.
+async function observeStage(stage, provider, run) {
+  const endTimer = stageDuration.startTimer({ stage, provider });
+  try {
+    const result = await run();
+    endTimer({ outcome: 'success' });
+    return result;
+  } catch (error) {
+    endTimer({ outcome: 'error' });
+    if (error && typeof error === 'object' && !error.stage) {
+      error.stage = stage;
+    }
+    throw error;
+  }
+}
+
+// Languages outside the supported list share one label so that client input
+// cannot grow the number of series
+function recordDelivery(language, endedAt) {
+  const label = typeof language === 'string' && Object.hasOwn(LANGUAGE_NAMES, language) ? language : 'other';
+  deliveryLatency.observe({ language: label }, Math.max(0, Date.now() - endedAt) / 1000);
+}
+
+// event is one of the server's own event names, never raw client input
+function recordEventLimited(event) {
+  socketEventsLimited.inc({ event });
+}
+
+function recordWebhookDelivery(event, outcome) {
+  webhookDeliveries.inc({ event, outcome });
+}
+
+function recordUtteranceProcessed(source) {
+  utterancesProcessed.inc({ source });
+}
+
+// category is the failing stage, or a broader step of the server's own
+function recordUtteranceFailed(source, category) {
+  utterancesFailed.inc({ source, category });
+}
+
+export {
+  registry,
+  setRoomStateReader,
+  setQueueStatsReader,
+  observeStage,
+  recordEventLimited,
+  recordDelivery,
+  recordUtteranceProcessed,
+  recordUtteranceFailed,
+  recordWebhookDelivery
+};
@@ -0,0 +1,484 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// providers.js
+//
+// Speech-to-text, translation and text-to-speech providers.
+// Every provider implements the same three pipeline stages:
+//   transcribe({ audio, language, prompt })             -> Promise<{ text, language }>
+//     (audio is a 16kHz mono WAV buffer; language null means detect it and
+//     the result carries the language heard)
+//   translate({ text, sourceLanguage, targetLanguage, glossary, context }) -> Promise<string>
+//   synthesize({ text, language, voice, speed, format }) -> Promise<Buffer>
+//     (format is mp3, opus or aac; mp3 when omitted)
+// prompt is an optional vocabulary hint, glossary an optional list of
+// { source, target, doNotTranslate } terms the translation must respect and
+// context the preceding turns as { speaker, text, translation }.
+// Translators that know their token counts pass them to the optional
+// reportUsage({ inputTokens, outputTokens }) callback.
+
+import OpenAI, { toFile } from 'openai';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { execFile } from 'child_process';
+import { v4 as uuidv4 } from 'uuid';
+import ffmpeg from 'fluent-ffmpeg';
+import { LANGUAGE_NAMES, resolveLanguage } from './languages.js';
+import { glossaryTermsFor, transcriptionHint } from './glossary.js';
+import { estimateTokens } from './conversation-context.js';
+import { observeStage } from './metrics.js';
+import { getConfig } from './config.js';
+import { removeTempFiles, trackTempFiles, wavDuration } from './audio.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TEMP_DIR = path.join(__dirname, 'temp');
+
+// Deployment-wide provider selection, with optional per-stage overrides
+function stageProviders() {
+  const { aiProvider, transcriptionProvider, translationProvider, speechProvider } = getConfig();
+  return {
+    transcription: transcriptionProvider || aiProvider,
+    translation: translationProvider || aiProvider,
+    speech: speechProvider || aiProvider
+  };
+}
+
+const providerCache = new Map();
+
+// Glossary instructions appended to the translation system prompt
+function glossaryInstructions(glossary = []) {
+  if (glossary.length === 0) {
+    return '';
+  }
+  const lines = glossary.map(({ source, target, doNotTranslate }) => doNotTranslate
+    ? `- "${source}": keep as is, do not translate`
+    : `- "${source}" must be translated as "${target}"`);
+  return `\nAlways use this terminology:\n${lines.join('\n')}`;
+}
+
+// Earlier turns of the conversation, appended to the translation system prompt
+function contextInstructions(context = []) {
+  if (context.length === 0) {
+    return '';
+  }
+  const lines = context.map(({ speaker, text, translation }) => translation
+    ? `${speaker}: ${text}\n  (translated: ${translation})`
+    : `${speaker}: ${text}`);
+  return `\nThe conversation so far, for context only. Resolve references using it and keep terminology, formality and gender consistent with the earlier translations, but translate only the new message:\n${lines.join('\n')}`;
+}
+
+// Shared system prompt for chat-model based translation
+function buildTranslationMessages(text, sourceLanguage, targetLanguage, glossary, context) {
+  return [
+    {
+      role: 'system',
+      content: `You are a professional translator specializing in ${LANGUAGE_NAMES[sourceLanguage]} to ${LANGUAGE_NAMES[targetLanguage]} translation.
+Your task is to translate the following text naturally and idiomatically, preserving the original meaning and tone.
+For informal speech, maintain a conversational style. For formal content, maintain appropriate formality.
+Provide ONLY the translation without any explanations or notes.${glossaryInstructions(glossary)}${contextInstructions(context)}`,
+    },
+    {
+      role: 'user',
+      content: text,
+    },
+  ];
+}
+
+// Text of a chat completion, reporting its token usage when the server sent it
+function completionText(response, reportUsage) {
+  if (response.usage && reportUsage) {
+    reportUsage({
+      inputTokens: response.usage.prompt_tokens || 0,
+      outputTokens: response.usage.completion_tokens || 0
+    });
+  }
+  return response.choices[0].message.content.trim();
+}
+
+// Run a binary and resolve with its stdout
+function runCommand(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`${command} failed: ${stderr || error.message}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+// ffmpeg container and codec for each output format
+const FFMPEG_OUTPUTS = {
+  mp3: { container: 'mp3', codec: 'libmp3lame', extension: 'mp3' },
+  opus: { container: 'ogg', codec: 'libopus', extension: 'ogg' },
+  aac: { container: 'adts', codec: 'aac', extension: 'aac' }
+};
+
+// Encode a WAV file in the requested format so every provider returns the same formats
+function encodeWavFile(wavPath, format = 'mp3') {
+  const output = Object.hasOwn(FFMPEG_OUTPUTS, format) ? FFMPEG_OUTPUTS[format] : FFMPEG_OUTPUTS.mp3;
+  const outputPath = wavPath.replace(/\.wav$/, `.${output.extension}`);
+  trackTempFiles(outputPath);
+  return new Promise((resolve, reject) => {
+    ffmpeg(wavPath)
+      .audioCodec(output.codec)
+      .toFormat(output.container)
+      .on('error', reject)
+      .on('end', () => resolve(fs.readFileSync(outputPath)))
+      .save(outputPath);
+  }).finally(() => removeTempFiles(outputPath));
+}
+
+// OpenAI hosted models (whisper-1, gpt-4o-mini and tts-1 unless configured otherwise)
+function createOpenAIProvider() {
+  // loadConfig refuses to start without OPENAI_API_KEY when this provider is used
+  const { openaiApiKey, transcriptionModel, translationModel, speechModel, translationTemperature } = getConfig();
+  const openai = new OpenAI({ apiKey: openaiApiKey });
+
+  return {
+    name: 'openai',
+
+    async transcribe({ audio, language, prompt }) {
+      // Without a language Whisper detects it, and only the verbose response says which
+      if (!language) {
+        const result = await openai.audio.transcriptions.create({
+          file: await toFile(audio, 'speech.wav', { type: 'audio/wav' }),
+          model: transcriptionModel,
+          prompt,
+          response_format: 'verbose_json',
+        });
+        return { text: result.text, language: resolveLanguage(result.language) };
+      }
+
+      const text = await openai.audio.transcriptions.create({
+        file: await toFile(audio, 'speech.wav', { type: 'audio/wav' }),
+        model: transcriptionModel,
+        language,
+        prompt,
+        response_format: 'text',
+      });
+      return { text, language };
+    },
+
+    async translate({ text, sourceLanguage, targetLanguage, glossary, context, reportUsage }) {
+      const translationResponse = await openai.chat.completions.create({
+        model: translationModel,
+        messages: buildTranslationMessages(text, sourceLanguage, targetLanguage, glossary, context),
+        temperature: translationTemperature,
+      });
+      return completionText(translationResponse, reportUsage);
+    },
+
+    async synthesize({ text, voice, speed = 1.0, format = 'mp3' }) {
+      const speechResponse = await openai.audio.speech.create({
+        model: speechModel,
+        voice: voice || 'alloy',
+        input: text,
+        response_format: format,
+        speed,
+      });
+      return Buffer.from(await speechResponse.arrayBuffer());
+    }
+  };
+}
+
+// Local engines: a whisper.cpp binary, an OpenAI-compatible local chat
+// server (llama.cpp, Ollama, LocalAI) and espeak-ng or piper for speech
+function createLocalProvider() {
+  const {
+    whisperCppBin: whisperBin,
+    whisperCppModel: whisperModel,
+    localTranslationUrl: translationUrl,
+    localTranslationModel: translationModel,
+    localTtsEngine: ttsEngine,
+    espeakBin,
+    piperBin,
+    piperModel
+  } = getConfig(); // loadConfig has checked the required ones are set
+
+  const translator = new OpenAI({ apiKey: 'local', baseURL: translationUrl });
+
+  return {
+    name: 'local',
+
+    async transcribe({ audio, language, prompt }) {
+      // whisper.cpp only reads files. When detecting, the JSON output file
+      // reports the language heard.
+      const filePath = path.join(TEMP_DIR, `stt_${uuidv4()}.wav`);
+      const jsonBase = language ? null : filePath.replace(/\.wav$/, '_whisper');
+      const tempFiles = jsonBase ? [filePath, `${jsonBase}.json`] : [filePath];
+      trackTempFiles(...tempFiles);
+      try {
+        fs.writeFileSync(filePath, audio);
+        const stdout = await runCommand(whisperBin, [
+          '-m', whisperModel,
+          '-f', filePath,
+          '-l', language ? language.split('-')[0] : 'auto',
+          '--no-timestamps',
+          '--no-prints',
+          ...(prompt ? ['--prompt', prompt] : []),
+          ...(jsonBase ? ['--output-json', '--output-file', jsonBase] : [])
+        ]);
+        const detected = jsonBase
+          ? JSON.parse(fs.readFileSync(`${jsonBase}.json`, 'utf8')).result?.language
+          : null;
+        return { text: stdout.trim(), language: language || resolveLanguage(detected) };
+      } finally {
+        removeTempFiles(...tempFiles);
+      }
+    },
+
+    async translate({ text, sourceLanguage, targetLanguage, glossary, context, reportUsage }) {
+      const translationResponse = await translator.chat.completions.create({
+        model: translationModel,
+        messages: buildTranslationMessages(text, sourceLanguage, targetLanguage, glossary, context),
+        temperature: getConfig().translationTemperature,
+      });
+      return completionText(translationResponse, reportUsage);
+    },
+
+    async synthesize({ text, language, speed = 1.0, format = 'mp3' }) {
+      const wavPath = path.join(TEMP_DIR, `tts_${uuidv4()}.wav`);
+      trackTempFiles(wavPath);
+      try {
+        if (ttsEngine === 'piper') {
+          await new Promise((resolve, reject) => {
+            const child = execFile(
+              piperBin,
+              ['--model', piperModel, '--output_file', wavPath, '--length_scale', String(1 / speed)],
+              (error, stdout, stderr) => error ? reject(new Error(`piper failed: ${stderr || error.message}`)) : resolve()
+            );
+            child.stdin.end(text);
+          });
+        } else {
+          await runCommand(espeakBin, [
+            '-v', language.split('-')[0],
+            '-s', String(Math.round(175 * speed)),
+            '-w', wavPath,
+            text
+          ]);
+        }
+        return await encodeWavFile(wavPath, format);
+      } finally {
+        removeTempFiles(wavPath);
+      }
+    }
+  };
+}
+
+// Silent audio for the fake provider is one short frame repeated: a silent
+// MPEG-1 Layer III frame (128kbps, 44.1kHz, about 26ms), a silent AAC-LC
+// frame with its ADTS header (mono 44.1kHz, about 23ms) and a silent 20ms
+// Opus packet, which has to be wrapped in Ogg pages
+const SILENT_MP3_FRAME = Buffer.concat([
+  Buffer.from([0xff, 0xfb, 0x90, 0x64]),
+  Buffer.alloc(413)
+]);
+const SILENT_AAC_FRAME = Buffer.from('fff15040017ffc01182007', 'hex');
+const SILENT_OPUS_PACKET = Buffer.from([0xf8, 0xff, 0xfe]);
+const OPUS_PACKET_SAMPLES = 960; // 20ms at 48kHz
+
+// Ogg page checksum: CRC-32 with polynomial 0x04c11db7, unreflected
+const OGG_CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let crc = index << 24;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+  }
+  return crc >>> 0;
+});
+
+// One Ogg page holding whole packets of less than 255 bytes each
+function oggPage(packets, { sequence, granulePosition, first = false, last = false }) {
+  const header = Buffer.alloc(27 + packets.length);
+  header.write('OggS', 0, 'ascii');
+  header.writeUInt8((first ? 0x02 : 0) | (last ? 0x04 : 0), 5);
+  header.writeBigUInt64LE(BigInt(granulePosition), 6);
+  header.writeUInt32LE(0x66616b65, 14); // stream serial number ("fake")
+  header.writeUInt32LE(sequence, 18);
+  header.writeUInt8(packets.length, 26);
+  packets.forEach((packet, index) => header.writeUInt8(packet.length, 27 + index));
+
+  const page = Buffer.concat([header, ...packets]);
+  let crc = 0;
+  for (const byte of page) {
+    crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  }
+  page.writeUInt32LE(crc, 22);
+  return page;
+}
+
+// An Ogg Opus stream (mono, no pre-skip) of packetCount silent packets
+function silentOggOpus(packetCount) {
+  const opusHead = Buffer.alloc(19);
+  opusHead.write('OpusHead', 0, 'ascii');
+  opusHead.writeUInt8(1, 8); // version
+  opusHead.writeUInt8(1, 9); // channels
+  opusHead.writeUInt32LE(48000, 12); // input sample rate
+  const vendor = Buffer.from('interpify-fake', 'ascii');
+  const opusTags = Buffer.alloc(16 + vendor.length);
+  opusTags.write('OpusTags', 0, 'ascii');
+  opusTags.writeUInt32LE(vendor.length, 8);
+  vendor.copy(opusTags, 12);
+
+  const pages = [
+    oggPage([opusHead], { sequence: 0, granulePosition: 0, first: true }),
+    oggPage([opusTags], { sequence: 1, granulePosition: 0 })
+  ];
+  for (let written = 0; written < packetCount;) {
+    const count = Math.min(255, packetCount - written);
+    written += count;
+    pages.push(oggPage(Array(count).fill(SILENT_OPUS_PACKET), {
+      sequence: pages.length,
+      granulePosition: written * OPUS_PACKET_SAMPLES,
+      last: written === packetCount
+    }));
+  }
+  return Buffer.concat(pages);
+}
+
+// Deterministic offline provider for tests and air-gapped environments.
+// Output depends only on the input, so the same utterance always yields
+// the same transcript, translation and audio.
+function createFakeProvider() {
+  const { fakeProviderDelay, fakeFailLanguages, fakeDetectedLanguage, fakeTranscript } = getConfig();
+  const wait = () => new Promise(resolve => setTimeout(resolve, fakeProviderDelay));
+  // Target languages whose translation always fails, for exercising error paths
+  const failLanguages = new Set(fakeFailLanguages);
+
+  return {
+    name: 'fake',
+
+    // Detection always "hears" FAKE_DETECTED_LANGUAGE (English by default)
+    async transcribe({ audio, language }) {
+      await wait();
+      const heardLanguage = language || resolveLanguage(fakeDetectedLanguage) || 'en';
+      if (fakeTranscript) {
+        return { text: fakeTranscript, language: heardLanguage };
+      }
+      const digest = crypto.createHash('sha256')
+        .update(audio)
+        .digest('hex');
+      return { text: `Fake ${heardLanguage} transcript ${digest.substring(0, 8)}`, language: heardLanguage };
+    },
+
+    // Glossary terms are substituted verbatim, like a perfectly obedient model
+    async translate({ text, targetLanguage, glossary = [] }) {
+      await wait();
+      if (failLanguages.has(targetLanguage)) {
+        throw new Error(`Fake translation to ${targetLanguage} failed`);
+      }
+      const translated = glossary.reduce((result, { source, target }) => result.split(source).join(target), text);
+      return `[${targetLanguage}] ${translated}`;
+    },
+
+    // Silence in the requested format (MP3 for unknown ones, like the others)
+    async synthesize({ text, format = 'mp3' }) {
+      await wait();
+      // Roughly one frame per character keeps audio length proportional to the text
+      const frameCount = Math.max(1, Math.min(text.length, 400));
+      if (format === 'opus') {
+        return silentOggOpus(frameCount);
+      }
+      return Buffer.concat(Array(frameCount).fill(format === 'aac' ? SILENT_AAC_FRAME : SILENT_MP3_FRAME));
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  fake: createFakeProvider
+};
+
+function getProvider(name) {
+  if (!providerCache.has(name)) {
+    const factory = Object.hasOwn(PROVIDER_FACTORIES, name) ? PROVIDER_FACTORIES[name] : null;
+    if (!factory) {
+      throw new Error(`Unknown provider: ${name}`);
+    }
+    providerCache.set(name, factory());
+  }
+  return providerCache.get(name);
+}
+
+// Check whether a room may be created with the requested provider
+function isRoomProviderAllowed(name) {
+  return getConfig().roomProviders.includes(name) && Object.hasOwn(PROVIDER_FACTORIES, name);
+}
+
+// Build the pipeline for a room. Rooms created with an explicit provider
+// use it for every stage, other rooms use the deployment configuration.
+// A room glossary becomes transcription hints and translation terminology.
+// onUsage receives a usage report (see usage.js) after every successful call.
+// Every call is timed per stage and provider for the metrics endpoint.
+function getPipeline(roomProvider, { glossary, onUsage = () => {} } = {}) {
+  const names = roomProvider
+    ? { transcription: roomProvider, translation: roomProvider, speech: roomProvider }
+    : stageProviders();
+
+  return {
+    transcribe: async (options) => {
+      const result = await observeStage('transcription', names.transcription, () => getProvider(names.transcription).transcribe({
+        prompt: transcriptionHint(glossary, options.language),
+        ...options
+      }));
+      onUsage({ provider: names.transcription, audioSeconds: wavDuration(options.audio) });
+      return result;
+    },
+    translate: async (options) => {
+      let reported = null;
+      const translation = await observeStage('translation', names.translation, () => getProvider(names.translation).translate({
+        glossary: glossaryTermsFor(glossary, options.text, options.sourceLanguage, options.targetLanguage),
+        ...options,
+        reportUsage: (usage) => { reported = usage; }
+      }));
+      // Token counts are estimated for translators that don't report them
+      onUsage({
+        provider: names.translation,
+        ...(reported || { inputTokens: estimateTokens(options.text), outputTokens: estimateTokens(translation) })
+      });
+      return translation;
+    },
+    synthesize: async (options) => {
+      const audio = await observeStage('synthesis', names.speech, () => getProvider(names.speech).synthesize(options));
+      onUsage({ provider: names.speech, ttsCharacters: options.text.length });
+      return audio;
+    }
+  };
+}
+
+// Instantiate every configured provider up front so missing keys or
+// binaries are reported at startup instead of on the first utterance
+function validateProviders() {
+  const stages = stageProviders();
+  const { roomProviders } = getConfig();
+  for (const name of new Set([...Object.values(stages), ...roomProviders])) {
+    getProvider(name);
+  }
+  return {
+    ...stages,
+    room: roomProviders
+  };
+}
+
+export { getPipeline, getProvider, isRoomProviderAllowed, validateProviders };
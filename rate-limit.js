@@ -0,0 +1,68 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// rate-limit.js
+//
+// Token buckets for socket events. Every socket gets one bucket per listed
+// event name: it holds up to `burst` tokens, refills at `perSecond` tokens
+// a second and each event takes one. Events not listed in the limits share
+// a single bucket with the default limits, so unknown event names cannot
+// make the limiter grow.
+
+function createTokenBucket({ burst, perSecond }, now = Date.now) {
+  let tokens = burst;
+  let updatedAt = now();
+
+  function refill() {
+    const time = now();
+    tokens = Math.min(burst, tokens + (time - updatedAt) / 1000 * perSecond);
+    updatedAt = time;
+  }
+
+  return {
+    // Take a token. Returns 0 on success, otherwise the milliseconds until
+    // one will be available.
+    take() {
+      refill();
+      if (tokens >= 1) {
+        tokens -= 1;
+        return 0;
+      }
+      return Math.ceil((1 - tokens) / perSecond * 1000);
+    }
+  };
+}
+
+// Limiter for one socket. take(event) returns 0 when the event may be
+// handled, or the milliseconds to wait before sending it again.
+function createEventLimiter(limits, defaults) {
+  const buckets = new Map();
+
+  return {
+    take(event) {
+      const key = Object.hasOwn(limits, event) ? event : '*';
+      if (!buckets.has(key)) {
+        buckets.set(key, createTokenBucket(limits[key] || defaults));
+      }
+      return buckets.get(key).take();
+    }
+  };
+}
+
+export { createTokenBucket, createEventLimiter };
@@ -0,0 +1,589 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// room-store.js
+//
+// Room state storage. Every store implements the same async interface:
+//   init()                        load or connect the backend
+//   createRoom(roomId, room)      -> false if the room ID is already taken
+//   getRoom(roomId)               -> { ...room, users: [...] } or null
+//   hasRoom(roomId)               -> boolean
+//   updateRoom(roomId, changes)   merge top-level room fields (not users)
+//   addToRoomList(roomId, field, value) append value to a list field of the
+//                                    room unless it is already there
+//   removeFromRoomLists(roomId, fields, value) remove value from each of the
+//                                    named list fields of the room
+//   deleteRoom(roomId)            -> true if this call deleted the room, false
+//                                    if it was already gone
+//   listRoomIds()                 -> [roomId, ...]
+//   setUser(roomId, user)         add or replace a user, keyed by socketId
+//   removeUser(roomId, socketId)  -> remaining user count, or null if there is
+//                                    no room or the user was already removed
+//   appendTranscript(roomId, entry) add an entry to the room's transcript log
+//   getTranscript(roomId, limit)  -> [entry, ...] oldest first (only the last
+//                                    limit entries when limit is given)
+//   recordUsage(roomId, user, usage) add metered usage (see usage.js) to the
+//                                    room, the user ({ id, username }) and the
+//                                    deployment totals
+//   getUsage(roomId)              -> { total, users: [{ username, ...counters }] }
+//   getDeploymentUsage()          -> counters summed over every room ever metered
+//   claimNonce(nonce, ttl)        -> true the first time a nonce is seen within
+//                                    ttl ms, false when it was already used
+//   saveRefreshToken(tokenHash, session, ttl) keep a refresh token's session
+//                                    ({ deviceId, clientType, origin }) for ttl ms
+//   takeRefreshToken(tokenHash)   -> the session, removing it so each refresh
+//                                    token works once, or null
+//   close()
+//
+// List fields (member tokens, muted members, speakers, raised hands) change
+// one value at a time through the list methods, atomically, so concurrent
+// updates from different sockets or instances are never lost the way they
+// would be by reading the room and writing the whole list back.
+//
+// Transcript logs are capped at transcriptLimit entries (oldest dropped first)
+// and are deleted together with their room, like its usage counters.
+// Deployment usage totals outlive the rooms. Nonces and refresh tokens
+// belong to clients rather than rooms and expire on their own.
+//
+// Several instances may remove the same user or delete the same room at
+// once; the return values of removeUser and deleteRoom tell the one caller
+// that actually did it, so only that caller announces it.
+//
+// Rooms and users must stay JSON-serializable so every backend can hold them.
+// Returned objects are copies: change state through the store, not by mutation.
+
+import fs from 'fs';
+import path from 'path';
+import { USAGE_COUNTERS, addUsage, emptyUsage } from './usage.js';
+import { logger } from './logger.js';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const byJoinTime = (a, b) => (a.joinedAt || 0) - (b.joinedAt || 0);
+
+const DEFAULT_TRANSCRIPT_LIMIT = 1000;
+
+// In-memory store, the default for single-instance deployments.
+// onChange is called after every mutation (used by the file store).
+function createMemoryStore(onChange = () => {}, transcriptLimit = DEFAULT_TRANSCRIPT_LIMIT) {
+  const rooms = new Map();
+
+  // Expiring entries (nonces, refresh tokens) with the time they expire
+  const dropExpired = (entries) => {
+    const now = Date.now();
+    for (const [key, { expiresAt }] of entries) {
+      if (expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  };
+
+  const store = {
+    rooms,
+    deploymentUsage: emptyUsage(),
+    nonces: new Map(),
+    refreshTokens: new Map(),
+
+    async init() {},
+
+    async createRoom(roomId, room) {
+      if (rooms.has(roomId)) {
+        return false;
+      }
+      rooms.set(roomId, { room: clone(room), users: new Map(), transcript: [], usage: { total: emptyUsage(), users: {} } });
+      onChange();
+      return true;
+    },
+
+    async getRoom(roomId) {
+      const entry = rooms.get(roomId);
+      if (!entry) {
+        return null;
+      }
+      return {
+        ...clone(entry.room),
+        users: Array.from(entry.users.values(), clone).sort(byJoinTime)
+      };
+    },
+
+    async hasRoom(roomId) {
+      return rooms.has(roomId);
+    },
+
+    async updateRoom(roomId, changes) {
+      const entry = rooms.get(roomId);
+      if (!entry) {
+        return;
+      }
+      Object.assign(entry.room, clone(changes));
+      onChange();
+    },
+
+    async addToRoomList(roomId, field, value) {
+      const entry = rooms.get(roomId);
+      const list = entry?.room[field] || [];
+      if (!entry || list.includes(value)) {
+        return;
+      }
+      entry.room[field] = [...list, value];
+      onChange();
+    },
+
+    async removeFromRoomLists(roomId, fields, value) {
+      const entry = rooms.get(roomId);
+      if (!entry) {
+        return;
+      }
+      for (const field of fields) {
+        entry.room[field] = (entry.room[field] || []).filter(item => item !== value);
+      }
+      onChange();
+    },
+
+    async deleteRoom(roomId) {
+      if (!rooms.delete(roomId)) {
+        return false;
+      }
+      onChange();
+      return true;
+    },
+
+    async listRoomIds() {
+      return Array.from(rooms.keys());
+    },
+
+    async setUser(roomId, user) {
+      const entry = rooms.get(roomId);
+      if (!entry) {
+        return;
+      }
+      entry.users.set(user.socketId, clone(user));
+      onChange();
+    },
+
+    async removeUser(roomId, socketId) {
+      const entry = rooms.get(roomId);
+      if (!entry) {
+        return null;
+      }
+      if (!entry.users.delete(socketId)) {
+        return null;
+      }
+      onChange();
+      return entry.users.size;
+    },
+
+    async appendTranscript(roomId, transcriptEntry) {
+      const entry = rooms.get(roomId);
+      if (!entry) {
+        return;
+      }
+      entry.transcript.push(clone(transcriptEntry));
+      if (entry.transcript.length > transcriptLimit) {
+        entry.transcript.splice(0, entry.transcript.length - transcriptLimit);
+      }
+      onChange();
+    },
+
+    async getTranscript(roomId, limit) {
+      const entry = rooms.get(roomId);
+      if (!entry) {
+        return [];
+      }
+      return clone(limit ? entry.transcript.slice(-limit) : entry.transcript);
+    },
+
+    async recordUsage(roomId, user, usage) {
+      const entry = rooms.get(roomId);
+      if (!entry) {
+        return;
+      }
+      entry.usage.total = addUsage(entry.usage.total, usage);
+      entry.usage.users[user.id] = {
+        username: user.username,
+        ...addUsage(entry.usage.users[user.id], usage)
+      };
+      store.deploymentUsage = addUsage(store.deploymentUsage, usage);
+      onChange();
+    },
+
+    async getUsage(roomId) {
+      const entry = rooms.get(roomId);
+      if (!entry) {
+        return { total: emptyUsage(), users: [] };
+      }
+      return clone({ total: entry.usage.total, users: Object.values(entry.usage.users) });
+    },
+
+    async getDeploymentUsage() {
+      return clone(store.deploymentUsage);
+    },
+
+    async claimNonce(nonce, ttl) {
+      dropExpired(store.nonces);
+      if (store.nonces.has(nonce)) {
+        return false;
+      }
+      store.nonces.set(nonce, { expiresAt: Date.now() + ttl });
+      onChange();
+      return true;
+    },
+
+    async saveRefreshToken(tokenHash, session, ttl) {
+      dropExpired(store.refreshTokens);
+      store.refreshTokens.set(tokenHash, { session: clone(session), expiresAt: Date.now() + ttl });
+      onChange();
+    },
+
+    async takeRefreshToken(tokenHash) {
+      dropExpired(store.refreshTokens);
+      const entry = store.refreshTokens.get(tokenHash);
+      if (!entry) {
+        return null;
+      }
+      store.refreshTokens.delete(tokenHash);
+      onChange();
+      return clone(entry.session);
+    },
+
+    async close() {}
+  };
+
+  return store;
+}
+
+const PERSIST_DELAY = 200; // ms to gather changes into one file write
+
+// JSON file store: in-memory state saved to disk shortly after every
+// change, so a single instance keeps its rooms across restarts. Changes
+// made within PERSIST_DELAY are written together; close() writes any that
+// are still pending.
+function createFileStore(filePath, transcriptLimit) {
+  let timer = null;
+  let writing = Promise.resolve();
+
+  // Write to a temp file first so a crash never leaves a truncated store
+  const write = async () => {
+    const snapshot = {
+      rooms: Array.from(store.rooms.entries(), ([roomId, entry]) => ({
+        roomId,
+        room: entry.room,
+        users: Array.from(entry.users.values()),
+        transcript: entry.transcript,
+        usage: entry.usage
+      })),
+      usage: store.deploymentUsage,
+      nonces: Object.fromEntries(store.nonces),
+      refreshTokens: Object.fromEntries(store.refreshTokens)
+    };
+
+    const tempPath = `${filePath}.tmp`;
+    try {
+      await fs.promises.writeFile(tempPath, JSON.stringify(snapshot), { mode: 0o600 });
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      logger.error('Failed to persist rooms', { filePath, error });
+    }
+  };
+
+  // Writes run one after another, so an older snapshot never lands last
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    writing = writing.then(write);
+    return writing;
+  };
+
+  const persist = () => {
+    timer ??= setTimeout(flush, PERSIST_DELAY);
+  };
+
+  const store = createMemoryStore(persist, transcriptLimit);
+
+  store.init = async () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (!fs.existsSync(filePath)) {
+      return;
+    }
+
+    const { rooms, usage, nonces = {}, refreshTokens = {} } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const { roomId, room, users, transcript = [], usage: roomUsage } of rooms) {
+      store.rooms.set(roomId, {
+        room,
+        users: new Map(users.map(user => [user.socketId, user])),
+        transcript,
+        usage: roomUsage || { total: emptyUsage(), users: {} }
+      });
+    }
+    store.deploymentUsage = addUsage(emptyUsage(), usage || {});
+    store.nonces = new Map(Object.entries(nonces));
+    store.refreshTokens = new Map(Object.entries(refreshTokens));
+    logger.info('Loaded rooms', { count: rooms.length, filePath });
+  };
+
+  store.close = async () => {
+    if (timer) {
+      await flush();
+    }
+    await writing;
+  };
+
+  return store;
+}
+
+// Creates the room hash KEYS[1] from the field/value pairs in ARGV[2..] and
+// adds the room ID ARGV[1] to the index set KEYS[2], unless the room
+// exists. Returns 1 if it was created.
+const CREATE_ROOM_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return 0
+end
+redis.call('HSET', KEYS[1], unpack(ARGV, 2))
+redis.call('SADD', KEYS[2], ARGV[1])
+return 1
+`;
+
+// Adds or removes ARGV[1] in the JSON list fields ARGV[3..] of the room
+// hash KEYS[1]; ARGV[2] is 'add' or 'remove'. Running it as a script makes
+// the read and the write one step. Empty tables encode as {} in cjson, so
+// empty lists are written out by hand.
+const UPDATE_ROOM_LISTS_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return 0
+end
+local value = ARGV[1]
+for i = 3, #ARGV do
+  local raw = redis.call('HGET', KEYS[1], ARGV[i])
+  local list = raw and cjson.decode(raw) or {}
+  if type(list) ~= 'table' then
+    list = {}
+  end
+  local kept, found = {}, false
+  for _, item in ipairs(list) do
+    if item == value then
+      found = true
+    end
+    if item ~= value or ARGV[2] == 'add' then
+      table.insert(kept, item)
+    end
+  end
+  if ARGV[2] == 'add' and not found then
+    table.insert(kept, value)
+  end
+  redis.call('HSET', KEYS[1], ARGV[i], #kept == 0 and '[]' or cjson.encode(kept))
+end
+return 1
+`;
+
+// Redis (or any Redis-compatible server) store, shared by every instance.
+// Room fields live in one hash and users in another, so concurrent joins and
+// leaves on different instances never overwrite each other. Usage counters
+// are hash fields incremented in place, and list fields are changed by a
+// script, for the same reason.
+function createRedisStore(client, prefix = 'interpify:', transcriptLimit = DEFAULT_TRANSCRIPT_LIMIT) {
+  const roomKey = (roomId) => `${prefix}room:${roomId}`;
+  const usersKey = (roomId) => `${prefix}room:${roomId}:users`;
+  const transcriptKey = (roomId) => `${prefix}room:${roomId}:transcript`;
+  const usageKey = (roomId) => `${prefix}room:${roomId}:usage`;
+  const indexKey = `${prefix}rooms`;
+  const deploymentUsageKey = `${prefix}usage`;
+  const nonceKey = (nonce) => `${prefix}nonce:${nonce}`;
+  const refreshTokenKey = (tokenHash) => `${prefix}refresh:${tokenHash}`;
+
+  const encodeFields = (fields) => Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [key, JSON.stringify(value)])
+  );
+  const decodeFields = (hash) => Object.fromEntries(
+    Object.entries(hash).map(([key, value]) => [key, JSON.parse(value)])
+  );
+
+  return {
+    async init() {
+      if (!client.isOpen) {
+        await client.connect();
+      }
+    },
+
+    // One script, so a room is never seen half created and two instances
+    // cannot both create the same ID
+    async createRoom(roomId, room) {
+      const fields = Object.entries(encodeFields({ ...room, id: roomId })).flat();
+      const created = await client.eval(CREATE_ROOM_SCRIPT, { keys: [roomKey(roomId), indexKey], arguments: [roomId, ...fields] });
+      return created === 1;
+    },
+
+    async getRoom(roomId) {
+      const [room, users] = await Promise.all([
+        client.hGetAll(roomKey(roomId)),
+        client.hGetAll(usersKey(roomId))
+      ]);
+      if (!room || Object.keys(room).length === 0) {
+        return null;
+      }
+      return {
+        ...decodeFields(room),
+        users: Object.values(users).map(user => JSON.parse(user)).sort(byJoinTime)
+      };
+    },
+
+    async hasRoom(roomId) {
+      return (await client.exists(roomKey(roomId))) === 1;
+    },
+
+    async updateRoom(roomId, changes) {
+      if (!(await this.hasRoom(roomId))) {
+        return;
+      }
+      await client.hSet(roomKey(roomId), encodeFields(changes));
+    },
+
+    async addToRoomList(roomId, field, value) {
+      await client.eval(UPDATE_ROOM_LISTS_SCRIPT, { keys: [roomKey(roomId)], arguments: [value, 'add', field] });
+    },
+
+    async removeFromRoomLists(roomId, fields, value) {
+      await client.eval(UPDATE_ROOM_LISTS_SCRIPT, { keys: [roomKey(roomId)], arguments: [value, 'remove', ...fields] });
+    },
+
+    async deleteRoom(roomId) {
+      const [deleted] = await client.multi()
+        .del(roomKey(roomId))
+        .del([usersKey(roomId), transcriptKey(roomId), usageKey(roomId)])
+        .sRem(indexKey, roomId)
+        .exec();
+      return deleted === 1;
+    },
+
+    async listRoomIds() {
+      return client.sMembers(indexKey);
+    },
+
+    async setUser(roomId, user) {
+      if (!(await this.hasRoom(roomId))) {
+        return;
+      }
+      await client.hSet(usersKey(roomId), user.socketId, JSON.stringify(user));
+    },
+
+    async removeUser(roomId, socketId) {
+      if (!(await this.hasRoom(roomId))) {
+        return null;
+      }
+      const [removed, remaining] = await client.multi()
+        .hDel(usersKey(roomId), socketId)
+        .hLen(usersKey(roomId))
+        .exec();
+      return removed === 1 ? remaining : null;
+    },
+
+    async appendTranscript(roomId, transcriptEntry) {
+      if (!(await this.hasRoom(roomId))) {
+        return;
+      }
+      await client.multi()
+        .rPush(transcriptKey(roomId), JSON.stringify(transcriptEntry))
+        .lTrim(transcriptKey(roomId), -transcriptLimit, -1)
+        .exec();
+    },
+
+    async getTranscript(roomId, limit) {
+      const entries = await client.lRange(transcriptKey(roomId), limit ? -limit : 0, -1);
+      return entries.map(entry => JSON.parse(entry));
+    },
+
+    // Room usage fields are total:<counter>, user:<id>:<counter> and user:<id>:username
+    async recordUsage(roomId, user, usage) {
+      if (!(await this.hasRoom(roomId))) {
+        return;
+      }
+      const multi = client.multi()
+        .hSet(usageKey(roomId), `user:${user.id}:username`, user.username);
+      for (const counter of USAGE_COUNTERS) {
+        if (usage[counter]) {
+          multi
+            .hIncrByFloat(usageKey(roomId), `total:${counter}`, usage[counter])
+            .hIncrByFloat(usageKey(roomId), `user:${user.id}:${counter}`, usage[counter])
+            .hIncrByFloat(deploymentUsageKey, counter, usage[counter]);
+        }
+      }
+      await multi.exec();
+    },
+
+    async getUsage(roomId) {
+      const fields = await client.hGetAll(usageKey(roomId));
+      const total = emptyUsage();
+      const users = {};
+      for (const [field, value] of Object.entries(fields)) {
+        const [scope, id, counter] = field.split(':');
+        if (scope === 'total') {
+          total[id] = parseFloat(value);
+        } else {
+          users[id] = users[id] || { username: null, ...emptyUsage() };
+          users[id][counter] = counter === 'username' ? value : parseFloat(value);
+        }
+      }
+      return { total, users: Object.values(users) };
+    },
+
+    async getDeploymentUsage() {
+      const fields = await client.hGetAll(deploymentUsageKey);
+      return addUsage(emptyUsage(), Object.fromEntries(
+        Object.entries(fields).map(([counter, value]) => [counter, parseFloat(value)])
+      ));
+    },
+
+    // Keys expire by themselves, so nothing needs sweeping
+    async claimNonce(nonce, ttl) {
+      return (await client.set(nonceKey(nonce), '1', { NX: true, PX: ttl })) === 'OK';
+    },
+
+    async saveRefreshToken(tokenHash, session, ttl) {
+      await client.set(refreshTokenKey(tokenHash), JSON.stringify(session), { PX: ttl });
+    },
+
+    async takeRefreshToken(tokenHash) {
+      const session = await client.getDel(refreshTokenKey(tokenHash));
+      return session ? JSON.parse(session) : null;
+    },
+
+    async close() {
+      if (client.isOpen) {
+        await client.quit();
+      }
+    }
+  };
+}
+
+// Pick the store from ROOM_STORE: memory (default), file or redis
+function createRoomStore({ type = 'memory', filePath, redisClient, redisPrefix, transcriptLimit } = {}) {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore(undefined, transcriptLimit);
+    case 'file':
+      return createFileStore(filePath, transcriptLimit);
+    case 'redis':
+      if (!redisClient) {
+        throw new Error('REDIS_URL environment variable is required for the redis room store');
+      }
+      return createRedisStore(redisClient, redisPrefix, transcriptLimit);
+    default:
+      throw new Error(`Unknown room store: ${type}`);
+  }
+}
+
+export { createRoomStore };
@@ -22,15 +22,41 @@ import 'dotenv/config';
 import express from 'express';
 import http from 'http';
 import { Server } from 'socket.io';
-import OpenAI from 'openai';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
-import ffmpeg from 'fluent-ffmpeg';
 import rateLimit from 'express-rate-limit';
+import ffmpeg from 'fluent-ffmpeg';
 import { cleanupOldFiles } from './cleanup-temp.js';
-import { exec } from 'child_process';
+import { getPipeline, isRoomProviderAllowed, validateProviders } from './providers.js';
+import { createRoomStore } from './room-store.js';
+import { TRANSCRIPT_FORMATS, exportTranscript } from './transcripts.js';
+import { defaultVoice, normalizeAudioPreferences, pickDistinctVoice } from './voices.js';
+import { parseGlossary, findGlossaryMisses } from './glossary.js';
+import { buildTranslationContext } from './conversation-context.js';
+import { LANGUAGE_NAMES } from './languages.js';
+import { meterUsage, roundUsage } from './usage.js';
+import {
+  registry as metricsRegistry,
+  setRoomStateReader,
+  setQueueStatsReader,
+  observeStage,
+  recordEventLimited,
+  recordDelivery,
+  recordUtteranceProcessed,
+  recordUtteranceFailed,
+  recordWebhookDelivery
+} from './metrics.js';
+import { configureLogger, logger } from './logger.js';
+import { describeConfig, getConfig } from './config.js';
+import { checkFfmpeg, checkWritableDir, createHealthCheck } from './health.js';
+import { convertToWav, decodeAudioPayload, encodeAudioPayload, removeTempFiles } from './audio.js';
+import { QueueFullError, createJobQueue } from './job-queue.js';
+import { createEventLimiter } from './rate-limit.js';
+import { createSessionManager, isValidDeviceId } from './sessions.js';
+import { WEBHOOK_EVENTS, createWebhookDispatcher, validateWebhookUrl } from './webhooks.js';
+import { createClient } from 'redis';
+import { createAdapter } from '@socket.io/redis-adapter';
 import crypto from 'crypto';
 import cors from 'cors';
 
@@ -38,32 +64,78 @@ import cors from 'cors';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Settings from the environment or CONFIG_FILE, validated before anything
+// else starts (see config.js)
+let config;
+try {
+  config = getConfig();
+} catch (error) {
+  logger.error('Server initialization failed', { problems: error.problems || [error.message] });
+  process.exit(1);
+}
+configureLogger({ level: config.logLevel, redact: config.logRedact });
+ffmpeg.setFfmpegPath(config.ffmpegPath);
+
 // Constants
-const MAX_AUDIO_DURATION = 60; // seconds
-const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_AUDIO_DURATION = config.maxAudioDuration; // seconds
+const MAX_FILE_SIZE = config.maxFileSize; // bytes
 const TEMP_DIR = path.join(__dirname, 'temp');
+const MAX_TEXT_MESSAGE_LENGTH = config.maxTextMessageLength; // characters per typed message
+const STREAMING_INTERIM_INTERVAL = 2000; // ms between interim passes of a streamed utterance
+const STREAM_MAX_CHUNKS = Math.ceil(MAX_AUDIO_DURATION) * 4; // chunk sequence numbers allowed, for chunks of 250 ms or more
+const STREAM_IDLE_TIMEOUT = 30 * 1000; // drop streamed utterances that stop receiving chunks
+const ROOM_EMPTY_TTL = 30 * 60 * 1000; // keep empty rooms 30 minutes so people can rejoin
+const ROOM_PRUNE_INTERVAL = 60 * 1000; // check for stale users and expired rooms every minute
+const TRANSCRIPT_HISTORY = config.transcriptHistory; // keep a per-room transcript log
+const TRANSCRIPT_MAX_ENTRIES = config.transcriptMaxEntries;
+const TRANSCRIPT_LINK_TTL = 5 * 60 * 1000; // transcript download links expire after 5 minutes
+const REPLAY_BACKLOG_SIZE = config.replayBacklogSize; // utterances replayed on join, 0 disables
+const REPLAY_CACHE_SIZE = 500; // replay renderings (text and audio) cached per instance
+const FANOUT_CONCURRENCY = config.fanoutConcurrency; // language groups processed at once
+const AUTO_ASSIGN_VOICES = config.autoAssignVoices; // give each speaker a distinct voice
+const TRANSLATION_CONTEXT_TURNS = config.translationContextTurns; // default prior turns sent to the translator
+const TRANSLATION_CONTEXT_TOKENS = config.translationContextTokens; // token budget for those turns
+const MAX_CONTEXT_TURNS = 20; // upper limit a room may choose
+const MAX_SUBTITLE_LANGUAGES = 3; // extra text-only languages per listener
+const ROOM_BUDGET = config.roomBudget; // estimated USD a room may spend, 0 for no cap
+const DEPLOYMENT_BUDGET = config.deploymentBudget; // estimated USD for all rooms together, 0 for no cap
+const USAGE_API_KEY = config.usageApiKey; // bearer key for deployment-wide usage, endpoint disabled when unset
+const METRICS_PORT = config.metricsPort; // serve /metrics on this port only, without a token
+const METRICS_TOKEN = config.metricsToken; // bearer token for /metrics on the main port
+const ADMIN_API_KEY = config.adminApiKey; // bearer key for the room admin API and dashboard, disabled when unset
+const SHUTDOWN_TIMEOUT = config.shutdownTimeout; // ms in-flight utterances get to finish on shutdown
+const WEBHOOK_ALLOWED_HOSTS = config.webhookAllowedHosts; // hosts room hosts may send webhooks to, none when empty
+const MAX_ROOM_WEBHOOKS = 5; // webhook subscriptions per room
+
+// Per-socket token buckets for the events that cost the most or that a
+// client sends often by design; every other event shares the
+// SOCKET_EVENT_RATE / SOCKET_EVENT_BURST bucket
+const SOCKET_EVENT_LIMITS = {
+  createRoom: { burst: 3, perSecond: 0.1 },
+  joinRoom: { burst: 5, perSecond: 0.5 },
+  audioData: { burst: 5, perSecond: 0.5 },
+  audioChunk: { burst: 20, perSecond: 4 },      // one chunk a second while streaming, plus catch-up
+  textMessage: { burst: 5, perSecond: 1 },
+  updateRecordingStatus: { burst: 10, perSecond: 2 },
+  exportTranscript: { burst: 3, perSecond: 0.2 },
+  setGlossary: { burst: 3, perSecond: 0.2 }
+};
+const DEFAULT_EVENT_LIMIT = { burst: config.socketEventBurst, perSecond: config.socketEventRate };
 
 // Interpify app verification
-const APP_SECRET = process.env.APP_SECRET;
-const MOBILE_INITIAL_KEY = process.env.MOBILE_INITIAL_KEY;
-const verifiedOrigins = new Set(process.env.ALLOWED_ORIGINS.split(','));
-const usedNonces = new Map();
+const APP_SECRET = config.appSecret;
+const MOBILE_INITIAL_KEY = config.mobileInitialKey;
+const verifiedOrigins = new Set(config.allowedOrigins);
+const CHALLENGE_MAX_AGE = 5 * 60 * 1000; // verification requests older (or newer) than this are refused
+const NONCE_TTL = 2 * CHALLENGE_MAX_AGE; // nonces only need remembering while their timestamp is acceptable
 
-// Nonce cleanup for mobile verification
-setInterval(() => {
-  const now = Date.now();
-  for (const [nonce, timestamp] of usedNonces.entries()) {
-    if (now - timestamp > 24 * 60 * 60 * 1000) usedNonces.delete(nonce);
-  }
-}, 60 * 60 * 1000);
+// Signed timestamps are only accepted close to the server's clock
+const isFreshTimestamp = (timestamp) => Math.abs(Date.now() - parseInt(timestamp, 10)) <= CHALLENGE_MAX_AGE;
 
 // Function to verify Interpify client signature
 const verifyInterpifyClient = (timestamp, signature, origin) => {
-  const maxAge = 5 * 60 * 1000; // 5 minutes
-  const now = Date.now();
-  
   // Check if timestamp is within acceptable range
-  if (now - parseInt(timestamp) > maxAge) {
+  if (!isFreshTimestamp(timestamp)) {
     return false;
   }
   
@@ -73,14 +145,34 @@ const verifyInterpifyClient = (timestamp, signature, origin) => {
     .update(`${timestamp}:${origin}`)
     .digest('hex');
     
-  return crypto.timingSafeEqual(
+  return signature.length === expectedSignature.length && crypto.timingSafeEqual(
     Buffer.from(signature),
     Buffer.from(expectedSignature)
   );
 };
 
-// Initialize OpenAI with your API key
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// Transcript downloads use signed, expiring links handed out over the
+// socket, so only current room participants can fetch a transcript
+const signTranscriptLink = (roomId, format, language, expires) => crypto
+  .createHmac('sha256', APP_SECRET)
+  .update(`transcript:${roomId}:${format}:${language}:${expires}`)
+  .digest('hex');
+
+const verifyTranscriptLink = ({ roomId, format, language = '', expires, token }) => {
+  if (!token || !expires || Date.now() > parseInt(expires, 10)) {
+    return false;
+  }
+  const expectedToken = signTranscriptLink(roomId, format, language, expires);
+  return token.length === expectedToken.length && crypto.timingSafeEqual(
+    Buffer.from(token),
+    Buffer.from(expectedToken)
+  );
+};
+
+// Host and member tokens are random secrets held by the client. Rooms only
+// store their hashes, so a leaked room store cannot be used to take a room over.
+const generateToken = () => crypto.randomBytes(24).toString('hex');
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
 
 const app = express();
 const server = http.createServer(app);
@@ -98,7 +190,7 @@ const corsConfig = {
     if (verifiedOrigins.has(origin)) {
       callback(null, true);
     } else {
-      console.log(`CORS blocked origin: ${origin}, Allowed origins: ${Array.from(verifiedOrigins).join(', ')}`);
+      logger.warn('CORS blocked origin', { origin });
       callback(new Error('Origin not allowed by CORS'));
     }
   },
@@ -122,8 +214,8 @@ const corsConfig = {
 const io = new Server(server, {
   cors: corsConfig,
   // Socket.IO settings for better stability
-  pingTimeout: 45000,         // Increased from 30000 to 45000
-  pingInterval: 20000,         // Decreased from 25000 to 20000 for more frequent pings
+  pingTimeout: config.socketPingTimeout,
+  pingInterval: config.socketPingInterval,
   reconnection: true,
   reconnectionAttempts: 15,    // Increased from 10 to 15
   reconnectionDelay: 1000,
@@ -131,7 +223,7 @@ const io = new Server(server, {
   // Additional Socket.IO settings for better performance with Cloudflare
   transports: ['websocket', 'polling'],
   allowUpgrades: true,
-  upgradeTimeout: 15000,       // Increased from 10000 to 15000
+  upgradeTimeout: config.socketUpgradeTimeout,
   // Cookie settings
   cookie: {
     name: 'io',
@@ -140,8 +232,8 @@ const io = new Server(server, {
     sameSite: 'lax'            // 'lax' for better cross-site behavior
   },
   // Security settings
-  maxHttpBufferSize: 10e6,     // 10MB to match MAX_FILE_SIZE
-  connectTimeout: 60000,       // Increased from 45000 to 60000
+  maxHttpBufferSize: MAX_FILE_SIZE,
+  connectTimeout: config.socketConnectTimeout,
   // Additional compatibility
   allowEIO3: true,
   // Additional stability settings
@@ -153,842 +245,2293 @@ const io = new Server(server, {
 app.use(express.json());
 app.use(cors(corsConfig));
 
-// Serve static files
-app.use(express.static(path.join(__dirname)));
+// Serve the client pages. Only these files are public: the rest of the
+// directory holds the code, .env and, with ROOM_STORE=file, the room state.
+const PUBLIC_FILES = ['index.html', 'room.html', 'admin.html', 'robots.txt'];
+for (const file of PUBLIC_FILES) {
+  app.get(`/${file}`, (req, res) => {
+    res.sendFile(path.join(__dirname, file));
+  });
+}
 
 // Rate limiting middleware
 const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  windowMs: config.rateLimitWindow,
+  max: config.rateLimitMax // requests per IP per window
 });
 
 // Apply rate limiting to API routes only, not static files
 app.use('/verify-origin', limiter);
+app.use('/session', limiter);
 app.use('/create-room', limiter);
+app.use('/rooms', limiter);
+app.use('/usage', limiter);
+app.use('/api', limiter);
+app.use('/metrics', limiter);
+
+// Verify a client and start a session for its socket connections. Mobile
+// apps answer a challenge made with MOBILE_INITIAL_KEY; web clients come
+// from an allowed origin, or prove with a signature that theirs may be
+// added. Either way the client gets a session token bound to its device ID.
+app.post('/verify-origin', async (req, res) => {
+  const { deviceId } = req.body || {};
+  if (!isValidDeviceId(deviceId)) {
+    return res.status(400).json({ error: 'Missing or invalid device ID' });
+  }
 
-// Add mobile verification endpoint before socket.io setup
-app.post('/verify-origin', (req, res) => {
-  // Handle mobile app verification
-  if (req.body.clientType === 'mobile-app' && MOBILE_INITIAL_KEY) {
-    const challenge = req.body;
-    
-    // Check nonce
-    if (usedNonces.has(challenge.nonce)) {
-      return res.status(403).json({ error: 'Nonce already used' });
-    }
-
-    // Verify client
-    const expectedHash = crypto.createHash('sha256')
-      .update(`${challenge.deviceId}:${challenge.timestamp}:${challenge.nonce}:${challenge.bundleId}:${MOBILE_INITIAL_KEY}`)
-      .digest('hex');
+  try {
+    // Handle mobile app verification
+    if (req.body.clientType === 'mobile-app' && MOBILE_INITIAL_KEY) {
+      const challenge = req.body;
 
-    if (challenge.verificationHash !== expectedHash) {
-      return res.status(403).json({ error: 'Invalid verification' });
-    }
+      if (!isFreshTimestamp(challenge.timestamp)) {
+        return res.status(403).json({ error: 'Challenge expired' });
+      }
 
-    // Store nonce
-    usedNonces.set(challenge.nonce, Date.now());
+      // Verify client
+      const expectedHash = crypto.createHash('sha256')
+        .update(`${challenge.deviceId}:${challenge.timestamp}:${challenge.nonce}:${challenge.bundleId}:${MOBILE_INITIAL_KEY}`)
+        .digest('hex');
 
-    // Generate app key
-    const serverChallenge = crypto.randomBytes(32).toString('hex');
-    const serverVerification = crypto.createHash('sha256')
-      .update(`${serverChallenge}:${challenge.verificationHash}`)
-      .digest('hex');
-    const appKey = crypto.createHash('sha256')
-      .update(APP_SECRET)
-      .digest('hex')
-      .substring(0, 32);
+      if (challenge.verificationHash !== expectedHash) {
+        return res.status(403).json({ error: 'Invalid verification' });
+      }
 
-    return res.json({
-      success: true,
-      appKey,
-      serverChallenge,
-      serverVerification
-    });
-  }
+      // Each nonce works once. The store remembers them across restarts
+      // and instances for as long as their timestamp would be accepted.
+      if (!challenge.nonce || !(await roomStore.claimNonce(`mobile:${challenge.nonce}`, NONCE_TTL))) {
+        return res.status(403).json({ error: 'Nonce already used' });
+      }
 
-  // Handle web client verification (existing logic)
-  const timestamp = req.headers['x-interpify-timestamp'];
-  const signature = req.headers['x-interpify-signature'];
-  const origin = req.headers.origin;
+      const serverChallenge = crypto.randomBytes(32).toString('hex');
+      const serverVerification = crypto.createHash('sha256')
+        .update(`${serverChallenge}:${challenge.verificationHash}`)
+        .digest('hex');
+      const session = await sessions.issue({ deviceId, clientType: 'mobile-app' });
+
+      return res.json({
+        success: true,
+        serverChallenge,
+        serverVerification,
+        ...session
+      });
+    }
 
-  if (!timestamp || !signature || !origin) {
-    return res.status(400).json({ error: 'Missing required headers' });
-  }
+    // Handle web client verification
+    const origin = req.headers.origin;
+    if (!origin) {
+      return res.status(400).json({ error: 'Missing required headers' });
+    }
 
-  try {
-    if (verifyInterpifyClient(timestamp, signature, origin)) {
+    if (!verifiedOrigins.has(origin)) {
+      const timestamp = req.headers['x-interpify-timestamp'];
+      const signature = req.headers['x-interpify-signature'];
+      if (!timestamp || !signature) {
+        return res.status(400).json({ error: 'Missing required headers' });
+      }
+      if (!verifyInterpifyClient(timestamp, signature, origin)) {
+        return res.status(403).json({ error: 'Invalid signature' });
+      }
       verifiedOrigins.add(origin);
-      res.json({ success: true, message: 'Origin verified and added' });
-    } else {
-      res.status(403).json({ error: 'Invalid signature' });
     }
+
+    const session = await sessions.issue({ deviceId, clientType: 'web', origin });
+    res.json({ success: true, message: 'Origin verified', ...session });
   } catch (error) {
+    logger.error('Client verification failed', { error });
     res.status(500).json({ error: 'Verification failed' });
   }
 });
 
-// Check ffmpeg installation
-function checkFfmpeg() {
-  return new Promise((resolve, reject) => {
-    exec('which ffmpeg', (error, stdout, stderr) => {
-      if (error) {
-        console.error('FFmpeg is not installed. Please install it using: sudo apt-get install ffmpeg');
-        reject(new Error('FFmpeg not found'));
-      } else {
-        console.log('FFmpeg is installed at:', stdout.trim());
-        resolve(true);
-      }
-    });
-  });
-}
+// Trade a refresh token for a new session and refresh token. Each refresh
+// token works once, and only for the device it was issued to.
+app.post('/session/refresh', async (req, res) => {
+  const { refreshToken, deviceId } = req.body || {};
+  try {
+    const session = isValidDeviceId(deviceId) ? await sessions.refresh(refreshToken, deviceId) : null;
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+    res.json({ success: true, ...session });
+  } catch (error) {
+    logger.error('Session refresh failed', { error });
+    res.status(500).json({ error: 'Session refresh failed' });
+  }
+});
 
 // Initialize server
 async function initializeServer() {
   try {
-    // Check required environment variables
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY environment variable is required');
-    }
-    if (!process.env.APP_SECRET) {
-      throw new Error('APP_SECRET environment variable is required');
-    }
-    if (!process.env.ALLOWED_ORIGINS) {
-      throw new Error('ALLOWED_ORIGINS environment variable is required');
-    }
+    logger.notice('Effective configuration', { config: describeConfig(config) });
+
+    // Check speech, translation and TTS provider configuration
+    // Stage names like 'transcription' are redacted log fields, so the
+    // provider names are logged under keys of their own
+    const providers = validateProviders();
+    logger.info('Using providers', {
+      transcriptionProvider: providers.transcription,
+      translationProvider: providers.translation,
+      speechProvider: providers.speech,
+      roomProviders: providers.room
+    });
 
     // Check ffmpeg installation
-    await checkFfmpeg();
+    try {
+      await checkFfmpeg(config.ffmpegPath);
+    } catch (error) {
+      logger.error('FFmpeg could not be run. Install it (sudo apt-get install ffmpeg) or set FFMPEG_PATH', { error });
+      throw error;
+    }
 
-    // Ensure temp directory exists
-    if (!fs.existsSync(TEMP_DIR)) {
-      try {
-        fs.mkdirSync(TEMP_DIR, { recursive: true });
-      } catch (error) {
-        console.log('Could not create temp directory, it may already exist:', error.message);
-      }
+    // Load or connect room state, then clear out users from before a restart
+    await connectRoomState();
+    await pruneRooms();
+    pruneTimer = setInterval(() => {
+      pruneRooms().catch(error => logger.error('Room pruning failed', { error }));
+    }, ROOM_PRUNE_INTERVAL);
+
+    // Ensure temp directory exists and remove files a crash left behind
+    try {
+      cleanupOldFiles();
+    } catch (error) {
+      logger.warn('Could not clean up the temp directory', { error });
     }
 
     // Start server
-    const PORT = process.env.PORT || 3000;
-    server.listen(PORT, () => {
-      console.log(`Server running on port ${PORT}`);
+    server.listen(config.port, () => {
+      logger.info('Server running', { port: config.port });
     });
+
+    if (METRICS_PORT) {
+      const metricsApp = express();
+      metricsApp.get('/metrics', sendMetrics);
+      metricsServer = metricsApp.listen(METRICS_PORT, () => {
+        logger.info('Metrics available', { port: METRICS_PORT });
+      });
+    }
   } catch (error) {
-    console.error('Server initialization failed:', error);
+    logger.error('Server initialization failed', { error });
     process.exit(1);
   }
 }
 
-// At the top level of the file
-let rooms = {};
-let roomLanguageGroups = {};
+let pruneTimer = null;
+let metricsServer = null;
 
-// Serve the main page
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'index.html'));
+// Utterances (speech and typed) are processed through one queue per
+// instance, so a flood of audio waits its turn instead of spawning ffmpeg
+// and provider calls without limit
+const jobQueue = createJobQueue({
+  concurrency: config.queueConcurrency,
+  maxPending: config.queueMaxPending,
+  maxPendingPerRoom: config.queueMaxPendingPerRoom
 });
-
-// Create room endpoint
-app.post('/create-room', (req, res) => {
-  // Generate a room ID that starts with a number (1-9) followed by 5 alphanumeric characters
-  let roomId;
-  let attempts = 0;
-  const maxAttempts = 5;
-  
-  // Ensure the room ID is unique
-  do {
-    const firstNumber = Math.floor(Math.random() * 9) + 1; // 1-9
-    const remainingChars = Math.random().toString(36).substring(2, 7); // 5 chars
-    roomId = `${firstNumber}${remainingChars}`;
-    attempts++;
-  } while (rooms[roomId] && attempts < maxAttempts);
-  
-  if (attempts >= maxAttempts && rooms[roomId]) {
-    console.error('Failed to create a unique room ID after multiple attempts');
-    return res.status(500).json({ error: 'Failed to create a unique room' });
-  }
-  
-  rooms[roomId] = { users: [] };
-  console.log(`Room created via API: ${roomId}, Total rooms: ${Object.keys(rooms).length}`);
-  res.json({ roomId });
+setQueueStatsReader(() => jobQueue.stats());
+
+// Outbound webhooks: the deployment's WEBHOOK_URLS, plus those registered
+// for each room through the API
+const webhooks = createWebhookDispatcher({
+  subscriptions: config.webhookUrls.map(url => ({ url, events: config.webhookEvents, secret: config.webhookSecret })),
+  maxAttempts: config.webhookMaxAttempts,
+  retryDelay: config.webhookRetryDelay,
+  timeout: config.webhookTimeout,
+  onOutcome: recordWebhookDelivery
 });
 
-// Audio validation middleware
-const validateAudio = (buffer) => {
-  if (buffer.length > MAX_FILE_SIZE) {
-    throw new Error('Audio file too large');
+// Room webhooks are signed with a secret derived from APP_SECRET, so the
+// secret never has to be stored with the room
+const roomWebhookSecret = (roomId, webhookId) => crypto
+  .createHmac('sha256', APP_SECRET)
+  .update(`webhook:${roomId}:${webhookId}`)
+  .digest('hex');
+
+// Send an event to the deployment's webhooks and to those of the room
+function emitWebhook(event, room, data = {}) {
+  const roomSubscriptions = (room.webhooks || []).map(webhook => ({
+    ...webhook,
+    secret: roomWebhookSecret(room.id, webhook.id)
+  }));
+  webhooks.dispatch(event, { roomId: room.id, ...data }, roomSubscriptions);
+}
+
+// Graceful shutdown state. In-flight utterances are tracked so a rolling
+// deploy can let them finish; the temp files they use are tracked in audio.js.
+let shuttingDown = false;
+const inFlightJobs = new Set();
+
+const SHUTDOWN_MESSAGE = 'The server is restarting, please try again in a moment';
+const SESSION_REQUIRED_MESSAGE = 'Session token required';
+const SESSION_INVALID_MESSAGE = 'Session expired or invalid';
+
+function trackJob(promise) {
+  inFlightJobs.add(promise);
+  promise.catch(() => {}).finally(() => inFlightJobs.delete(promise));
+  return promise;
+}
+
+// Resolves true once no jobs are left, false if the deadline passes first.
+// Jobs started while waiting (final chunks of streams) are waited for too.
+async function drainJobs(deadline) {
+  while (inFlightJobs.size > 0) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      return false;
+    }
+    let timer;
+    await Promise.race([
+      Promise.allSettled(Array.from(inFlightJobs)),
+      new Promise(resolve => { timer = setTimeout(resolve, remaining); })
+    ]);
+    clearTimeout(timer);
   }
   return true;
-};
+}
 
-// Language to voice mapping for better TTS results
-const LANGUAGE_TO_VOICE = {
-  af: 'alloy',    // Afrikaans
-  sq: 'alloy',    // Albanian
-  am: 'alloy',    // Amharic
-  ar: 'nova',     // Arabic
-  hy: 'alloy',    // Armenian
-  az: 'alloy',    // Azerbaijani
-  eu: 'alloy',    // Basque
-  be: 'alloy',    // Belarusian
-  bn: 'nova',     // Bengali
-  bs: 'alloy',    // Bosnian
-  bg: 'alloy',    // Bulgarian
-  ca: 'nova',     // Catalan
-  'zh-CN': 'nova', // Chinese Simplified
-  'zh-TW': 'nova', // Chinese Traditional
-  hr: 'alloy',    // Croatian
-  cs: 'alloy',    // Czech
-  da: 'nova',     // Danish
-  nl: 'nova',     // Dutch
-  en: 'alloy',    // English
-  et: 'alloy',    // Estonian
-  fi: 'nova',     // Finnish
-  fr: 'nova',     // French
-  ka: 'alloy',    // Georgian
-  de: 'nova',     // German
-  el: 'nova',     // Greek
-  gu: 'alloy',    // Gujarati
-  ht: 'alloy',    // Haitian Creole
-  he: 'nova',     // Hebrew
-  hi: 'nova',     // Hindi
-  hu: 'alloy',    // Hungarian
-  is: 'alloy',    // Icelandic
-  ig: 'alloy',    // Igbo
-  id: 'nova',     // Indonesian
-  ga: 'alloy',    // Irish
-  it: 'nova',     // Italian
-  ja: 'nova',     // Japanese
-  jv: 'alloy',    // Javanese
-  kk: 'alloy',    // Kazakh
-  km: 'alloy',    // Khmer
-  ko: 'nova',     // Korean
-  ku: 'alloy',    // Kurdish
-  lv: 'alloy',    // Latvian
-  lt: 'alloy',    // Lithuanian
-  mk: 'alloy',    // Macedonian
-  ms: 'nova',     // Malay
-  mt: 'alloy',    // Maltese
-  mr: 'nova',     // Marathi
-  mn: 'alloy',    // Mongolian
-  ne: 'alloy',    // Nepali
-  no: 'nova',     // Norwegian
-  fa: 'nova',     // Persian
-  pl: 'nova',     // Polish
-  pt: 'nova',     // Portuguese
-  pa: 'nova',     // Punjabi
-  ro: 'nova',     // Romanian
-  ru: 'alloy',    // Russian
-  sr: 'alloy',    // Serbian
-  si: 'alloy',    // Sinhala
-  sk: 'alloy',    // Slovak
-  sl: 'alloy',    // Slovenian
-  so: 'alloy',    // Somali
-  es: 'nova',     // Spanish
-  sw: 'alloy',    // Swahili
-  sv: 'nova',     // Swedish
-  ta: 'nova',     // Tamil
-  te: 'nova',     // Telugu
-  th: 'nova',     // Thai
-  tr: 'nova',     // Turkish
-  uk: 'nova',     // Ukrainian
-  ur: 'nova',     // Urdu
-  uz: 'alloy',    // Uzbek
-  vi: 'nova',     // Vietnamese
-  cy: 'alloy',    // Welsh
-  xh: 'alloy',    // Xhosa
-  yo: 'alloy',    // Yoruba
-  zu: 'alloy',    // Zulu
-};
+// Stop taking new utterances, tell clients to move to another instance,
+// let in-flight utterances finish (up to SHUTDOWN_TIMEOUT), then close
+// connections and remove leftover temp files
+async function shutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  logger.info('Shutting down', { signal, inFlight: inFlightJobs.size });
+  clearInterval(pruneTimer);
 
-// Language names for better prompts
-const LANGUAGE_NAMES = {
-  af: 'Afrikaans',
-  sq: 'Albanian',
-  am: 'Amharic',
-  ar: 'Arabic',
-  hy: 'Armenian',
-  az: 'Azerbaijani',
-  eu: 'Basque',
-  be: 'Belarusian',
-  bn: 'Bengali',
-  bs: 'Bosnian',
-  bg: 'Bulgarian',
-  ca: 'Catalan',
-  'zh-CN': 'Chinese Simplified',
-  'zh-TW': 'Chinese Traditional',
-  hr: 'Croatian',
-  cs: 'Czech',
-  da: 'Danish',
-  nl: 'Dutch',
-  en: 'English',
-  et: 'Estonian',
-  fi: 'Finnish',
-  fr: 'French',
-  ka: 'Georgian',
-  de: 'German',
-  el: 'Greek',
-  gu: 'Gujarati',
-  ht: 'Haitian Creole',
-  he: 'Hebrew',
-  hi: 'Hindi',
-  hu: 'Hungarian',
-  is: 'Icelandic',
-  ig: 'Igbo',
-  id: 'Indonesian',
-  ga: 'Irish',
-  it: 'Italian',
-  ja: 'Japanese',
-  jv: 'Javanese',
-  kk: 'Kazakh',
-  km: 'Khmer',
-  ko: 'Korean',
-  ku: 'Kurdish',
-  lv: 'Latvian',
-  lt: 'Lithuanian',
-  mk: 'Macedonian',
-  ms: 'Malay',
-  mt: 'Maltese',
-  mr: 'Marathi',
-  mn: 'Mongolian',
-  ne: 'Nepali',
-  no: 'Norwegian',
-  fa: 'Persian',
-  pl: 'Polish',
-  pt: 'Portuguese',
-  pa: 'Punjabi',
-  ro: 'Romanian',
-  ru: 'Russian',
-  sr: 'Serbian',
-  si: 'Sinhala',
-  sk: 'Slovak',
-  sl: 'Slovenian',
-  so: 'Somali',
-  es: 'Spanish',
-  sw: 'Swahili',
-  sv: 'Swedish',
-  ta: 'Tamil',
-  te: 'Telugu',
-  th: 'Thai',
-  tr: 'Turkish',
-  uk: 'Ukrainian',
-  ur: 'Urdu',
-  uz: 'Uzbek',
-  vi: 'Vietnamese',
-  cy: 'Welsh',
-  xh: 'Xhosa',
-  yo: 'Yoruba',
-  zu: 'Zulu'
-};
+  io.emit('serverShutdown', { message: SHUTDOWN_MESSAGE });
 
-io.on('connection', (socket) => {
-  console.log('A user connected:', socket.id);
+  if (!(await drainJobs(Date.now() + SHUTDOWN_TIMEOUT))) {
+    logger.error('Shutdown timed out with utterances still in flight', { inFlight: inFlightJobs.size });
+  }
+  removeTempFiles();
+  // Give webhooks for the last utterances a chance to go out
+  await webhooks.flush(config.webhookTimeout);
+
+  // Clients reconnect on their own. Closing io flushes what is still queued
+  // for each socket and closes the HTTP server too.
+  await new Promise(resolve => io.close(resolve));
+  metricsServer?.close();
+  try {
+    await roomStore.close();
+  } catch (error) {
+    logger.error('Closing the room store failed', { error });
+  }
+  logger.info('Shutdown complete');
+  process.exit(0);
+}
 
-  let reconnectAttempts = 0;
-  const maxReconnectAttempts = 5;
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
-  socket.on('error', (error) => {
-    console.error('Socket error:', error);
-    socket.emit('errorMessage', { message: 'Connection error occurred' });
-  });
+// Room state lives in a store so it can survive restarts (file, redis)
+// and be shared between instances (redis)
+const redisClient = config.redisUrl
+  ? createClient({ url: config.redisUrl })
+  : null;
 
-  socket.on('reconnect_attempt', () => {
-    reconnectAttempts++;
-    if (reconnectAttempts > maxReconnectAttempts) {
-      socket.emit('errorMessage', { 
-        message: 'Maximum reconnection attempts reached. Please refresh the page.' 
-      });
-    }
-  });
+const roomStore = createRoomStore({
+  type: config.roomStore,
+  filePath: config.roomStoreFile,
+  redisClient,
+  transcriptLimit: TRANSCRIPT_MAX_ENTRIES
+});
 
-  socket.on('reconnect', () => {
-    reconnectAttempts = 0;
-    socket.emit('status', { message: 'Reconnected successfully' });
-  });
+// Socket handshakes present session tokens issued by /verify-origin
+const sessions = createSessionManager({
+  secret: APP_SECRET,
+  store: roomStore,
+  sessionTtl: config.sessionTokenTtl,
+  refreshTtl: config.refreshTokenTtl
+});
 
-  // Handle disconnection with both reconnection and room cleanup
-  socket.on('disconnect', (reason) => {
-    console.log(`Client disconnected. Reason: ${reason}, Socket ID: ${socket.id}`);
-    
-    // Handle server-initiated disconnects
-    if (reason === 'io server disconnect') {
-      socket.connect();
-    }
-    
-    // Clean up rooms when client disconnects
-    // Make a copy of the room keys to avoid modification during iteration
-    const roomKeys = Object.keys(rooms);
-    for (const roomId of roomKeys) {
-      if (rooms[roomId] && rooms[roomId].users.some(user => user.socketId === socket.id)) {
-        console.log(`Cleaning up user ${socket.id} from room ${roomId}`);
-        leaveRoom(socket, roomId);
-      }
-    }
-  });
+// Connect the room store, and with Redis also the Socket.IO adapter so that
+// io.to(roomId).emit reaches sockets connected to other instances
+async function connectRoomState() {
+  if (redisClient) {
+    const subClient = redisClient.duplicate();
+    redisClient.on('error', (error) => logger.error('Redis client error', { error }));
+    subClient.on('error', (error) => logger.error('Redis subscriber error', { error }));
+    await Promise.all([redisClient.connect(), subClient.connect()]);
+    io.adapter(createAdapter(redisClient, subClient));
+    logger.info('Socket.IO Redis adapter enabled');
+  }
 
-  socket.on('createRoom', (callback) => {
-    // Generate a room ID that starts with a number (1-9) followed by 5 alphanumeric characters
-    let roomId;
-    let attempts = 0;
-    const maxAttempts = 5;
-    
-    // Ensure the room ID is unique
-    do {
-      const firstNumber = Math.floor(Math.random() * 9) + 1; // 1-9
-      const remainingChars = Math.random().toString(36).substring(2, 7); // 5 chars
-      roomId = `${firstNumber}${remainingChars}`;
-      attempts++;
-    } while (rooms[roomId] && attempts < maxAttempts);
-    
-    if (attempts >= maxAttempts && rooms[roomId]) {
-      console.error('Failed to create a unique room ID after multiple attempts');
-      callback(null);
-      return;
-    }
-    
-    rooms[roomId] = { users: [] };
-    console.log(`Room created: ${roomId}, Total rooms: ${Object.keys(rooms).length}`);
-    callback(roomId);
-  });
+  await roomStore.init();
+}
 
-  socket.on('joinRoom', ({ roomId, username, language }, callback) => {
-    console.log(`Join room attempt: ${roomId}, Available rooms: ${Object.keys(rooms).join(', ')}`);
-    if (rooms[roomId]) {
-      // Check if user with this socket ID already exists in the room
-      const existingUserIndex = rooms[roomId].users.findIndex(u => u.socketId === socket.id);
-      
-      if (existingUserIndex !== -1) {
-        // User already exists in the room, update their info
-        console.log(`User with socket ID ${socket.id} already exists in room ${roomId}, updating info`);
-        
-        // Get the existing user to check if language changed
-        const existingUser = rooms[roomId].users[existingUserIndex];
-        const oldLanguage = existingUser.language;
-        
-        // Update user info
-        rooms[roomId].users[existingUserIndex] = { 
-          id: socket.id, 
-          username, 
-          language,
-          socketId: socket.id
-        };
-        
-        // If language changed, update language groups
-        if (oldLanguage !== language && roomLanguageGroups[roomId]) {
-          // Remove from old language group
-          const oldLangGroup = roomLanguageGroups[roomId].get(oldLanguage);
-          if (oldLangGroup) {
-            const index = oldLangGroup.findIndex(u => u.socketId === socket.id);
-            if (index !== -1) {
-              oldLangGroup.splice(index, 1);
-            }
-            if (oldLangGroup.length === 0) {
-              roomLanguageGroups[roomId].delete(oldLanguage);
-            }
-          }
-          
-          // Add to new language group
-          const newLangGroup = roomLanguageGroups[roomId].get(language) || [];
-          newLangGroup.push(rooms[roomId].users[existingUserIndex]);
-          roomLanguageGroups[roomId].set(language, newLangGroup);
-        }
-      } else {
-        // New user, add to room
-        const user = { 
-          id: socket.id, 
-          username, 
-          language,
-          socketId: socket.id
-        };
-        
-        // Add user to room
-        rooms[roomId].users.push(user);
-        
-        // Update language groups for the room
-        if (!roomLanguageGroups[roomId]) {
-          roomLanguageGroups[roomId] = new Map();
-        }
-        
-        // Add user to their language group
-        const langGroup = roomLanguageGroups[roomId].get(language) || [];
-        langGroup.push(user);
-        roomLanguageGroups[roomId].set(language, langGroup);
-      }
-      
-      // Join the socket to the room
-      socket.join(roomId);
-      
-      // Store room ID in socket for easy reference
-      socket.roomId = roomId;
-      
-      // Update user list for all clients in the room
-      io.to(roomId).emit(
-        'updateUserList',
-        rooms[roomId].users.map((user) => ({
-          username: user.username,
-          language: user.language
-        }))
-      );
-      
-      callback(true);
-      console.log(
-        `User ${username} joined room ${roomId} with language ${language}`
-      );
-    } else {
-      console.log(`Failed to join room ${roomId}: Room not found. Available rooms: ${Object.keys(rooms).join(', ')}`);
-      callback(false);
-      socket.emit('errorMessage', { message: 'Room not found or invalid. Please check the room ID and try again.' });
-    }
-  });
+// Rooms and users are counted across the whole store (the same on every
+// instance), sockets only on this instance
+setRoomStateReader(async () => {
+  const roomIds = await roomStore.listRoomIds();
+  const rooms = await Promise.all(roomIds.map(roomId => roomStore.getRoom(roomId)));
+  return {
+    rooms: roomIds.length,
+    users: rooms.reduce((count, room) => count + (room?.users.length || 0), 0),
+    sockets: io.engine.clientsCount
+  };
+});
 
-  // Simplify the updateRecordingStatus handler
-  socket.on('updateRecordingStatus', ({ roomId, username, isRecording }) => {
-    if (rooms[roomId]) {
-      io.to(roomId).emit('recordingStatusUpdate', { username, isRecording });
-    }
-  });
+// Muting is tied to the member token, so reconnecting does not lift it
+const isMuted = (room, user) => Boolean(user && (room.mutedMembers || []).includes(user.memberTokenHash));
 
-  // Clean up the audioData handler
-  socket.on('audioData', ({ roomId, audioData, isSpeaking }) => {
-    console.log(
-      `Received audioData from ${socket.id} in room ${roomId}:`,
-      {
-        isSpeaking,
-        dataLength: audioData.length,
-        sampleStart: audioData.substring(0, 50) + '...',
-        timestamp: new Date().toISOString()
-      }
-    );
+// Conversation rooms let everyone talk. Lecture rooms only let the host and
+// the speakers the host has given the floor to talk; everyone else listens
+// and may raise their hand.
+const ROOM_MODES = ['conversation', 'lecture'];
 
-    // Verify room exists and socket is in the room
-    if (!rooms[roomId]) {
-      console.error(`Room ${roomId} not found`);
-      socket.emit('errorMessage', { message: 'Room not found' });
-      return;
-    }
+const hasFloor = (room, user) => Boolean(user) && (
+  room.mode !== 'lecture' ||
+  user.socketId === room.hostId ||
+  (room.speakers || []).includes(user.memberTokenHash)
+);
 
-    const room = rooms[roomId];
-    if (!room.users.some(user => user.socketId === socket.id)) {
-      console.error(`Socket ${socket.id} not found in room ${roomId}`);
-      socket.emit('errorMessage', { message: 'Not a member of this room' });
-      return;
-    }
+// Why a user may not send audio or messages right now, or null if they may
+function speakingRestriction(room, user) {
+  if (isMuted(room, user)) {
+    return 'You have been muted by the host';
+  }
+  if (!hasFloor(room, user)) {
+    return 'Only speakers with the floor can talk in lecture mode';
+  }
+  return null;
+}
 
-    const sender = room.users.find(user => user.socketId === socket.id);
-    if (sender) {
-      io.to(roomId).emit('processingStatusUpdate', { username: sender.username });
-    }
+// Only languages the server knows can be joined in or subscribed to
+const isSupportedLanguage = (language) => typeof language === 'string' && Object.hasOwn(LANGUAGE_NAMES, language);
 
-    if (!isSpeaking && audioData.length > 0) {
-      processAudioData(roomId, socket, audioData);
-    }
-  });
+// Extra languages a user reads under their primary one: known codes only,
+// without duplicates or the primary language itself
+function normalizeSubtitleLanguages(languages, primaryLanguage) {
+  if (!Array.isArray(languages)) {
+    return [];
+  }
+  return [...new Set(languages)]
+    .filter(language => Object.hasOwn(LANGUAGE_NAMES, language) && language !== primaryLanguage)
+    .slice(0, MAX_SUBTITLE_LANGUAGES);
+}
 
-  // Add heartbeat handler to respond to client pings
-  socket.on('heartbeat', (clientTime, callback) => {
-    // Log heartbeats at debug level
-    if (process.env.NODE_ENV === 'development') {
-      console.log(`Heartbeat received from ${socket.id}, client time: ${clientTime}`);
-    }
-    
-    // Check if the socket is still in a room
-    const socketRooms = Array.from(socket.rooms).filter(room => room !== socket.id);
-    const isInRoom = socketRooms.length > 0;
-    
-    // Respond with the client's timestamp and server status to calculate round-trip time
-    if (typeof callback === 'function') {
-      callback(clientTime, { 
-        serverTime: Date.now(),
-        isInRoom,
-        rooms: socketRooms
+// Languages shown as subtitles to a user for an utterance spoken in
+// spokenLanguage: the original first when they asked for it, then their
+// extra languages. The primary language is never repeated.
+function subtitleLanguagesFor(user, spokenLanguage) {
+  const languages = user.showOriginal
+    ? [spokenLanguage, ...(user.subtitleLanguages || [])]
+    : user.subtitleLanguages || [];
+  return [...new Set(languages)].filter(language => language !== user.language);
+}
+
+// Pipeline for a room whose usage is metered against the given user.
+// Metering must never hold up or break delivery, so it is not awaited and
+// failures are only logged.
+function meteredPipeline(room, user) {
+  return getPipeline(room.provider, {
+    glossary: room.glossary,
+    onUsage: (usage) => {
+      const meteredUser = { id: user.memberTokenHash || user.socketId, username: user.username };
+      roomStore.recordUsage(room.id, meteredUser, meterUsage(usage)).catch(error => {
+        logger.error('Failed to record usage', { roomId: room.id, error });
       });
     }
   });
+}
 
-  // Helper function to convert audio to WAV format
-  async function convertToWav(inputPath, outputPath) {
-    return new Promise((resolve, reject) => {
-      console.log('Converting audio to WAV format:', {
-        input: inputPath,
-        output: outputPath
-      });
-
-      ffmpeg(inputPath)
-        .toFormat('wav')
-        .audioFrequency(16000) // Whisper expects 16kHz
-        .audioChannels(1)      // Mono audio
-        .on('error', (err) => {
-          console.error('FFmpeg conversion error:', err);
-          reject(err);
-        })
-        .on('end', () => {
-          console.log('Audio conversion completed successfully');
-          resolve();
-        })
-        .save(outputPath);
-    });
+// Why a room may not use the pipeline any more, or null if it may
+async function budgetRestriction(roomId) {
+  if (DEPLOYMENT_BUDGET > 0 && (await roomStore.getDeploymentUsage()).cost >= DEPLOYMENT_BUDGET) {
+    return 'The translation budget of this server is used up';
   }
+  if (ROOM_BUDGET > 0 && (await roomStore.getUsage(roomId)).total.cost >= ROOM_BUDGET) {
+    return 'This room has used up its translation budget';
+  }
+  return null;
+}
 
-  async function processAudioData(roomId, socket, base64AudioData) {
-    let tempFilePath = null;
-    let wavFilePath = null;
+// Number of prior turns a room sends to the translator, or null if invalid
+function parseContextTurns(value) {
+  const turns = Number(value);
+  return Number.isInteger(turns) && turns >= 0 && turns <= MAX_CONTEXT_TURNS ? turns : null;
+}
 
-    try {
-      console.log('Decoding base64 audio data:', {
-        inputLength: base64AudioData.length,
-        sampleStart: base64AudioData.substring(0, 50) + '...'
-      });
+// Check the options a room is created with. Returns { error } or the options.
+function validateRoomOptions(options = {}) {
+  // Rooms may optionally pick one of the providers listed in ROOM_PROVIDERS
+  const provider = options.provider || null;
+  if (provider && !isRoomProviderAllowed(provider)) {
+    return { error: 'Provider not available' };
+  }
+  const mode = options.mode || 'conversation';
+  if (!ROOM_MODES.includes(mode)) {
+    return { error: 'Unknown room mode' };
+  }
+  const contextTurns = options.contextTurns === undefined
+    ? TRANSLATION_CONTEXT_TURNS
+    : parseContextTurns(options.contextTurns);
+  if (contextTurns === null) {
+    return { error: `Context window must be between 0 and ${MAX_CONTEXT_TURNS} turns` };
+  }
+  return { provider, mode, contextTurns };
+}
 
-      const audioBuffer = Buffer.from(base64AudioData, 'base64');
-      
-      console.log('Audio buffer details:', {
-        size: audioBuffer.length,
-        type: typeof base64AudioData,
-        timestamp: new Date().toISOString()
-      });
-      
-      validateAudio(audioBuffer);
+// Create a room with a fresh ID and return { roomId, hostToken }, or null
+// if no unique ID was found. Whoever holds the host token becomes the host
+// when they join.
+async function createUniqueRoom({ provider = null, mode = 'conversation', contextTurns = TRANSLATION_CONTEXT_TURNS } = {}) {
+  const maxAttempts = 5;
 
-      // Create unique filenames with timestamp
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const fileId = uuidv4();
-      tempFilePath = path.join(TEMP_DIR, `temp_${timestamp}_${fileId}.mp4`);
-      wavFilePath = path.join(TEMP_DIR, `temp_${timestamp}_${fileId}.wav`);
-      
-      // Write original audio file
-      fs.writeFileSync(tempFilePath, audioBuffer, { mode: 0o644 });
-      
-      // Log original file details
-      const fileStats = fs.statSync(tempFilePath);
-      console.log('Original audio file details:', {
-        path: tempFilePath,
-        size: fileStats.size,
-        created: fileStats.birthtime,
-        mode: fileStats.mode.toString(8)
-      });
+  for (let attempts = 0; attempts < maxAttempts; attempts++) {
+    // Generate a room ID that starts with a number (1-9) followed by 5 alphanumeric characters
+    const firstNumber = Math.floor(Math.random() * 9) + 1; // 1-9
+    const remainingChars = Math.random().toString(36).substring(2, 7); // 5 chars
+    const roomId = `${firstNumber}${remainingChars}`;
+
+    const now = Date.now();
+    const hostToken = generateToken();
+    const room = {
+      id: roomId,
+      provider,
+      createdAt: now,
+      emptySince: now,
+      hostTokenHash: hashToken(hostToken),
+      hostId: null,
+      locked: false,
+      memberTokens: [],
+      mutedMembers: [],
+      mode,
+      speakers: [],
+      handQueue: [],
+      glossary: [],
+      contextTurns,
+      webhooks: []
+    };
+    if (await roomStore.createRoom(roomId, room)) {
+      emitWebhook('room.created', room, { mode, createdAt: new Date(now).toISOString() });
+      return { roomId, hostToken };
+    }
+  }
 
-      // Convert to WAV format
-      await convertToWav(tempFilePath, wavFilePath);
-      
-      // Log converted file details
-      const wavStats = fs.statSync(wavFilePath);
-      console.log('Converted WAV file details:', {
-        path: wavFilePath,
-        size: wavStats.size,
-        created: wavStats.birthtime,
-        mode: wavStats.mode.toString(8)
-      });
-      
-      // Check audio duration using ffmpeg
-      const duration = await getAudioDuration(wavFilePath);
-      console.log('Audio duration details:', {
-        duration,
-        path: wavFilePath,
-        timestamp: new Date().toISOString()
-      });
-      
-      if (duration > MAX_AUDIO_DURATION) {
-        throw new Error('Audio duration exceeds maximum limit');
-      }
+  logger.error('Failed to create a unique room ID after multiple attempts');
+  return null;
+}
 
-      const room = rooms[roomId];
-      if (!room) {
-        throw new Error('Room not found');
-      }
+// Tell everyone in a room it is over, disconnect them from it and delete
+// it. reason (host or admin) goes to the room.ended webhook.
+async function closeRoom(room, message, reason) {
+  io.to(room.id).emit('removedFromRoom', { roomId: room.id, reason: 'ended', message });
+  io.in(room.id).socketsLeave(room.id);
+  if (await roomStore.deleteRoom(room.id)) {
+    emitWebhook('room.ended', room, { reason });
+  }
+}
 
-      const sender = room.users.find(user => user.socketId === socket.id);
-      if (!sender) {
-        throw new Error('Sender not found in room');
-      }
+// Remove users whose sockets are gone (e.g. after a restart or a crashed
+// instance) and delete rooms that have been empty longer than ROOM_EMPTY_TTL.
+// Every instance prunes, so only the one whose store call removed the user or
+// deleted the room sends the webhook.
+async function pruneRooms() {
+  const now = Date.now();
 
-      // Get transcription first
-      const transcription = await openai.audio.transcriptions.create({
-        file: fs.createReadStream(wavFilePath),
-        model: 'whisper-1',
-        language: sender.language,
-        response_format: 'text',
-      });
+  for (const roomId of await roomStore.listRoomIds()) {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) {
+      continue;
+    }
 
-      if (!transcription || !transcription.trim()) {
-        throw new Error('Transcription returned empty text.');
+    let userCount = room.users.length;
+    if (userCount > 0) {
+      const liveSocketIds = new Set((await io.in(roomId).fetchSockets()).map(s => s.id));
+      for (const user of room.users) {
+        if (!liveSocketIds.has(user.socketId)) {
+          const remainingUsers = await roomStore.removeUser(roomId, user.socketId);
+          if (remainingUsers === null) {
+            continue;
+          }
+          userCount = remainingUsers;
+          emitWebhook('user.left', room, { userId: user.socketId, username: user.username, reason: 'disconnected' });
+        }
       }
+      if (userCount === 0) {
+        await roomStore.updateRoom(roomId, { emptySince: now });
+        logger.info('Room has no connected users, keeping it for rejoin', { roomId });
+      }
+    } else if (now - (room.emptySince || room.createdAt || 0) > ROOM_EMPTY_TTL) {
+      if (await roomStore.deleteRoom(roomId)) {
+        emitWebhook('room.ended', room, { reason: 'empty' });
+        logger.info('Room deleted after being empty', { roomId });
+      }
+    }
+  }
+}
+
+// Liveness: this instance can process audio at all
+const checkHealth = createHealthCheck({
+  ffmpeg: () => checkFfmpeg(config.ffmpegPath),
+  tempDir: () => checkWritableDir(TEMP_DIR),
+  providers: () => validateProviders()
+});
+
+// Readiness: the above, plus shared room state is reachable and the
+// instance is not shutting down
+const checkReadiness = createHealthCheck({
+  ffmpeg: () => checkFfmpeg(config.ffmpegPath),
+  tempDir: () => checkWritableDir(TEMP_DIR),
+  providers: () => validateProviders(),
+  roomStore: () => roomStore.listRoomIds()
+});
+
+app.get('/healthz', async (req, res) => {
+  const report = await checkHealth();
+  res.status(report.status === 'ok' ? 200 : 503).json(report);
+});
+
+app.get('/readyz', async (req, res) => {
+  if (shuttingDown) {
+    return res.status(503).json({ status: 'shutting down', checks: {} });
+  }
+  const report = await checkReadiness();
+  res.status(report.status === 'ok' ? 200 : 503).json(report);
+});
+
+// Serve the main page
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+// Serve the admin dashboard (it asks for ADMIN_API_KEY and uses /api/rooms)
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'admin.html'));
+});
+
+// Create room endpoint
+app.post('/create-room', async (req, res) => {
+  const roomOptions = validateRoomOptions(req.body);
+  if (roomOptions.error) {
+    return res.status(400).json({ error: roomOptions.error });
+  }
+
+  try {
+    const created = await createUniqueRoom(roomOptions);
+    if (!created) {
+      return res.status(500).json({ error: 'Failed to create a unique room' });
+    }
+
+    logger.info('Room created via API', { roomId: created.roomId });
+    res.json(created);
+  } catch (error) {
+    logger.error('Room creation failed', { error });
+    res.status(500).json({ error: 'Failed to create room' });
+  }
+});
+
+// Transcript download endpoint, reached through links from exportTranscript
+app.get('/rooms/:roomId/transcript', async (req, res) => {
+  const { roomId } = req.params;
+  const { format = 'txt', language = '', expires, token } = req.query;
+
+  if (!Object.hasOwn(TRANSCRIPT_FORMATS, format)) {
+    return res.status(400).json({ error: 'Unsupported transcript format' });
+  }
+  if (typeof language !== 'string' || (language && !Object.hasOwn(LANGUAGE_NAMES, language))) {
+    return res.status(400).json({ error: 'Unsupported language' });
+  }
+  if (!verifyTranscriptLink({ roomId, format, language, expires, token })) {
+    return res.status(403).json({ error: 'Invalid or expired transcript link' });
+  }
+
+  try {
+    if (!(await roomStore.hasRoom(roomId))) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const entries = await roomStore.getTranscript(roomId);
+    const { content, mimeType, filename } = exportTranscript(entries, {
+      format,
+      roomId,
+      language: language || null
+    });
+
+    res.set('Content-Type', `${mimeType}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(content);
+  } catch (error) {
+    logger.error('Transcript export failed', { roomId, error });
+    res.status(500).json({ error: 'Transcript export failed' });
+  }
+});
+
+// The token in an "Authorization: Bearer <token>" header, if any
+const bearerToken = (req) => (req.get('Authorization') || '').match(/^Bearer (\S+)$/)?.[1] || null;
+
+const holdsHostToken = (room, token) => Boolean(token && room.hostTokenHash && hashToken(token) === room.hostTokenHash);
+
+// Whether a bearer token is the given configured key. The digests of both are
+// compared, so timingSafeEqual gets equal lengths and the time taken says
+// nothing about the key.
+const matchesKey = (token, key) => Boolean(token && key) && crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(token).digest(),
+  crypto.createHash('sha256').update(key).digest()
+);
+
+const isAdminRequest = (req) => matchesKey(bearerToken(req), ADMIN_API_KEY);
+
+// Usage and estimated cost of a room, per participant. Only the host may
+// read it, with their host token as the bearer token.
+app.get('/rooms/:roomId/usage', async (req, res) => {
+  const { roomId } = req.params;
+  const token = bearerToken(req);
+
+  try {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    if (!holdsHostToken(room, token)) {
+      return res.status(403).json({ error: 'Only the room host can read its usage' });
+    }
+
+    const usage = await roomStore.getUsage(roomId);
+    res.json({
+      roomId,
+      total: roundUsage(usage.total),
+      users: usage.users.map(roundUsage),
+      budget: ROOM_BUDGET || null
+    });
+  } catch (error) {
+    logger.error('Usage lookup failed', { error });
+    res.status(500).json({ error: 'Usage lookup failed' });
+  }
+});
+
+// Usage and estimated cost of the whole deployment, for operators holding USAGE_API_KEY
+app.get('/usage', async (req, res) => {
+  if (!USAGE_API_KEY) {
+    return res.status(404).json({ error: 'Usage reporting is not enabled' });
+  }
+  if (!matchesKey(bearerToken(req), USAGE_API_KEY)) {
+    return res.status(403).json({ error: 'Invalid usage API key' });
+  }
+
+  try {
+    res.json({
+      total: roundUsage(await roomStore.getDeploymentUsage()),
+      budget: DEPLOYMENT_BUDGET || null
+    });
+  } catch (error) {
+    logger.error('Usage lookup failed', { error });
+    res.status(500).json({ error: 'Usage lookup failed' });
+  }
+});
+
+// Look up a room for its host or an operator, answering the request
+// with an error and returning null when that fails
+async function roomForHostOrAdmin(req, res, action) {
+  const room = await roomStore.getRoom(req.params.roomId);
+  if (!room) {
+    res.status(404).json({ error: 'Room not found' });
+    return null;
+  }
+  if (!isAdminRequest(req) && !holdsHostToken(room, bearerToken(req))) {
+    res.status(403).json({ error: `Only the room host or an administrator can ${action}` });
+    return null;
+  }
+  return room;
+}
+
+// What anyone holding a room ID may know about it: no names, no content
+function describeRoom(room) {
+  return {
+    roomId: room.id,
+    participants: room.users.length,
+    languages: [...new Set(room.users.map(user => user.language))].sort(),
+    mode: room.mode,
+    locked: room.locked,
+    createdAt: new Date(room.createdAt).toISOString()
+  };
+}
+
+// Room lookup for support and integrations
+app.get('/api/rooms/:roomId', async (req, res) => {
+  try {
+    const room = await roomStore.getRoom(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    res.json(describeRoom(room));
+  } catch (error) {
+    logger.error('Room lookup failed', { error });
+    res.status(500).json({ error: 'Room lookup failed' });
+  }
+});
+
+// Close a room, for its host (host token) or an operator (ADMIN_API_KEY)
+app.delete('/api/rooms/:roomId', async (req, res) => {
+  const { roomId } = req.params;
+
+  try {
+    const room = await roomForHostOrAdmin(req, res, 'delete a room');
+    if (!room) {
+      return;
+    }
+
+    const admin = isAdminRequest(req);
+    await closeRoom(room, admin ? 'This room has been closed by an administrator' : 'The host has ended this room', admin ? 'admin' : 'host');
+    logger.info('Room deleted via API', { roomId, by: admin ? 'admin' : 'host' });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Room deletion failed', { roomId, error });
+    res.status(500).json({ error: 'Room deletion failed' });
+  }
+});
+
+// Every room with activity stats, for operators holding ADMIN_API_KEY
+app.get('/api/rooms', async (req, res) => {
+  if (!ADMIN_API_KEY) {
+    return res.status(404).json({ error: 'The admin API is not enabled' });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ error: 'Invalid admin API key' });
+  }
+
+  try {
+    const rooms = [];
+    for (const roomId of await roomStore.listRoomIds()) {
+      const room = await roomStore.getRoom(roomId);
+      if (!room) {
+        continue;
+      }
+
+      const transcript = await roomStore.getTranscript(roomId);
+      const { total } = await roomStore.getUsage(roomId);
+      const lastEntry = transcript[transcript.length - 1];
+      rooms.push({
+        ...describeRoom(room),
+        emptySince: room.users.length === 0 && room.emptySince ? new Date(room.emptySince).toISOString() : null,
+        utterances: transcript.length,
+        lastActivity: lastEntry ? new Date(lastEntry.endedAt).toISOString() : null,
+        usage: roundUsage(total)
+      });
+    }
+
+    rooms.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    res.json({ rooms, queue: jobQueue.stats() });
+  } catch (error) {
+    logger.error('Room listing failed', { error });
+    res.status(500).json({ error: 'Room listing failed' });
+  }
+});
+
+// A room's webhook subscriptions and their recent deliveries from this instance
+app.get('/api/rooms/:roomId/webhooks', async (req, res) => {
+  try {
+    const room = await roomForHostOrAdmin(req, res, 'read its webhooks');
+    if (!room) {
+      return;
+    }
+    res.json({
+      webhooks: room.webhooks || [],
+      // Deployment subscriptions and their endpoints are the operator's, not the host's
+      deliveries: webhooks.deliveries({ roomId: room.id, scope: 'room' })
+    });
+  } catch (error) {
+    logger.error('Webhook lookup failed', { error });
+    res.status(500).json({ error: 'Webhook lookup failed' });
+  }
+});
+
+// Subscribe a URL to a room's events. The signing secret is only returned
+// here. Hosts may only use hosts listed in WEBHOOK_ALLOWED_HOSTS.
+app.post('/api/rooms/:roomId/webhooks', async (req, res) => {
+  const { url, events = [] } = req.body || {};
+
+  try {
+    const room = await roomForHostOrAdmin(req, res, 'add webhooks');
+    if (!room) {
+      return;
+    }
+
+    const urlError = typeof url === 'string'
+      ? validateWebhookUrl(url, isAdminRequest(req) ? null : WEBHOOK_ALLOWED_HOSTS)
+      : 'Invalid webhook URL';
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+    if (!Array.isArray(events) || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+      return res.status(400).json({ error: `Events must be a list of ${WEBHOOK_EVENTS.join(', ')}` });
+    }
+    const roomWebhooks = room.webhooks || [];
+    if (roomWebhooks.length >= MAX_ROOM_WEBHOOKS) {
+      return res.status(400).json({ error: `A room can have at most ${MAX_ROOM_WEBHOOKS} webhooks` });
+    }
+
+    const webhook = { id: uuidv4(), url, events: [...new Set(events)] };
+    await roomStore.updateRoom(room.id, { webhooks: [...roomWebhooks, webhook] });
+
+    logger.info('Room webhook added', { roomId: room.id, webhookId: webhook.id });
+    res.status(201).json({ ...webhook, secret: roomWebhookSecret(room.id, webhook.id) });
+  } catch (error) {
+    logger.error('Adding webhook failed', { error });
+    res.status(500).json({ error: 'Adding webhook failed' });
+  }
+});
+
+app.delete('/api/rooms/:roomId/webhooks/:webhookId', async (req, res) => {
+  try {
+    const room = await roomForHostOrAdmin(req, res, 'remove webhooks');
+    if (!room) {
+      return;
+    }
+
+    const roomWebhooks = room.webhooks || [];
+    const remaining = roomWebhooks.filter(webhook => webhook.id !== req.params.webhookId);
+    if (remaining.length === roomWebhooks.length) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    await roomStore.updateRoom(room.id, { webhooks: remaining });
+
+    logger.info('Room webhook removed', { roomId: room.id, webhookId: req.params.webhookId });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Removing webhook failed', { error });
+    res.status(500).json({ error: 'Removing webhook failed' });
+  }
+});
+
+// Recent webhook deliveries of this instance, for operators holding ADMIN_API_KEY
+app.get('/api/webhooks/deliveries', (req, res) => {
+  if (!ADMIN_API_KEY) {
+    return res.status(404).json({ error: 'The admin API is not enabled' });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(403).json({ error: 'Invalid admin API key' });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+  res.json({ deliveries: webhooks.deliveries({ limit }) });
+});
+
+async function sendMetrics(req, res) {
+  try {
+    res.set('Content-Type', metricsRegistry.contentType);
+    res.send(await metricsRegistry.metrics());
+  } catch (error) {
+    logger.error('Metrics collection failed', { error });
+    res.status(500).end();
+  }
+}
+
+// Prometheus metrics. With METRICS_PORT they are served on that port only
+// (keep it off the public network); otherwise here, to holders of METRICS_TOKEN.
+app.get('/metrics', (req, res) => {
+  if (METRICS_PORT || !METRICS_TOKEN) {
+    return res.status(404).json({ error: 'Metrics are not enabled' });
+  }
+  if (!matchesKey(bearerToken(req), METRICS_TOKEN)) {
+    return res.status(403).json({ error: 'Invalid metrics token' });
+  }
+  sendMetrics(req, res);
+});
+
+// Audio validation middleware
+const validateAudio = (buffer) => {
+  if (buffer.length > MAX_FILE_SIZE) {
+    throw new Error('Audio file too large');
+  }
+  return true;
+};
+
+// Run async task functions with at most `limit` of them in flight.
+// Resolves once every task has settled; a failing task does not stop the rest.
+async function runWithConcurrency(tasks, limit) {
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < tasks.length) {
+      const task = tasks[nextIndex++];
+      try {
+        await task();
+      } catch (error) {
+        logger.error('Concurrent task failed', { error });
+      }
+    }
+  };
+  const workerCount = Math.max(1, Math.min(limit, tasks.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+}
+
+// Listeners with the same speed and format can share one synthesized clip
+const audioPreferenceKey = ({ speed, audioFormat }) => `${speed}:${audioFormat}`;
+
+// Bounded cache of replay renderings, keyed by room, utterance and language,
+// so late joiners of the same language don't pay for the same translation twice.
+// Audio is kept per listener preference key.
+const replayCache = new Map();
+
+function cacheReplayRendering(key, rendering) {
+  replayCache.delete(key);
+  replayCache.set(key, rendering);
+  if (replayCache.size > REPLAY_CACHE_SIZE) {
+    // Maps iterate in insertion order, so the first key is the oldest
+    replayCache.delete(replayCache.keys().next().value);
+  }
+}
+
+// Connections arriving during shutdown are turned away so clients retry and
+// land on another instance
+io.use((socket, next) => {
+  next(shuttingDown ? new Error(SHUTDOWN_MESSAGE) : undefined);
+});
+
+// Every connection needs a valid session for the device it comes from.
+// Web sessions also only work from the origin they were issued to.
+io.use((socket, next) => {
+  const { token, deviceId } = socket.handshake.auth || {};
+  const session = sessions.verify(token, deviceId);
+  if (!session || (session.origin && session.origin !== socket.handshake.headers.origin)) {
+    next(new Error(token ? SESSION_INVALID_MESSAGE : SESSION_REQUIRED_MESSAGE));
+    return;
+  }
+  socket.data.session = session;
+  next();
+});
+
+io.on('connection', (socket) => {
+  // Every record about this socket carries its ID for correlation
+  const log = logger.child({ socketId: socket.id });
+  log.info('Socket connected');
+
+  let reconnectAttempts = 0;
+  const maxReconnectAttempts = 5;
+
+  // Rooms this socket has joined, for cleanup on disconnect
+  const joinedRooms = new Set();
+
+  // Wrap async event handlers so a failing room store reaches the client as
+  // an error message instead of an unhandled rejection
+  const safeHandler = (handler) => async (...args) => {
+    try {
+      await handler(...args);
+    } catch (error) {
+      log.error('Socket handler failed', { error });
+      socket.emit('errorMessage', { message: 'Server error, please try again' });
+    }
+  };
+
+  // Events over their rate limit are dropped. The client is told so, and
+  // acknowledgements get the same "no" their handler gives for an error.
+  const eventLimiter = createEventLimiter(SOCKET_EVENT_LIMITS, DEFAULT_EVENT_LIMIT);
+  socket.use(([event, ...args], next) => {
+    const retryAfter = eventLimiter.take(event);
+    if (retryAfter === 0) {
+      next();
+      return;
+    }
+    const knownEvent = Object.hasOwn(SOCKET_EVENT_LIMITS, event) ? event : 'other';
+    recordEventLimited(knownEvent);
+    log.debug('Socket event rate limited', { event: knownEvent, retryAfter });
+
+    const message = 'You are sending too fast, please slow down';
+    const ack = args[args.length - 1];
+    if (typeof ack === 'function') {
+      if (event === 'createRoom') {
+        ack(null);
+      } else if (event === 'joinRoom') {
+        ack(false, { error: message });
+      } else if (event !== 'heartbeat') {
+        ack({ error: message });
+      }
+    }
+    socket.emit('rateLimited', { event: knownEvent, retryAfter, message });
+  });
+
+  // Queue an utterance for processing. The sender is told when it has to
+  // wait (with its place in line) and when it starts; when the queue is
+  // full it is refused with a busy status, and an error message for
+  // clients that don't know the status event.
+  function queueUtterance({ roomId, utteranceId, source, username }, run) {
+    let queued = false;
+    return trackJob(jobQueue.enqueue(roomId, run, {
+      onQueued: (position) => {
+        queued = true;
+        socket.emit('utteranceStatus', { utteranceId, status: 'queued', position });
+      },
+      onStart: () => {
+        if (queued) {
+          socket.emit('utteranceStatus', { utteranceId, status: 'processing' });
+        }
+      }
+    }).catch(error => {
+      if (!(error instanceof QueueFullError)) {
+        throw error;
+      }
+      recordUtteranceFailed(source, 'queue');
+      log.warn('Utterance refused, processing queue full', { roomId, utteranceId, queue: jobQueue.stats() });
+      socket.emit('utteranceStatus', { utteranceId, status: 'busy', message: error.message });
+      socket.emit('errorMessage', { message: error.message, username, utteranceId });
+    }));
+  }
+
+  socket.on('error', (error) => {
+    log.error('Socket error', { error });
+    socket.emit('errorMessage', { message: 'Connection error occurred' });
+  });
+
+  socket.on('reconnect_attempt', () => {
+    reconnectAttempts++;
+    if (reconnectAttempts > maxReconnectAttempts) {
+      socket.emit('errorMessage', { 
+        message: 'Maximum reconnection attempts reached. Please refresh the page.' 
+      });
+    }
+  });
+
+  socket.on('reconnect', () => {
+    reconnectAttempts = 0;
+    socket.emit('status', { message: 'Reconnected successfully' });
+  });
+
+  // Handle disconnection with both reconnection and room cleanup
+  socket.on('disconnect', (reason) => {
+    log.info('Socket disconnected', { reason });
+    
+    // Handle server-initiated disconnects
+    if (reason === 'io server disconnect') {
+      socket.connect();
+    }
+
+    // Drop any half-received streamed utterances
+    for (const utteranceId of streamingUtterances.keys()) {
+      dropStream(utteranceId);
+    }
+
+    // Users of an instance that shuts down rejoin elsewhere, so their rooms
+    // must survive; other instances prune the stale entries
+    if (shuttingDown) {
+      return;
+    }
+    
+    // Clean up rooms when client disconnects
+    for (const roomId of joinedRooms) {
+      log.debug('Removing user from room', { roomId });
+      leaveRoom(socket, roomId).catch(error => {
+        log.error('Failed to remove user from room', { roomId, error });
+      });
+    }
+  });
+
+  socket.on('createRoom', safeHandler(async (options, callback) => {
+    // Older clients only send the callback
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    const roomOptions = validateRoomOptions(options || {});
+    if (roomOptions.error) {
+      socket.emit('errorMessage', { message: roomOptions.error });
+      reply(null);
+      return;
+    }
+
+    try {
+      const created = await createUniqueRoom(roomOptions);
+      if (created) {
+        log.info('Room created', { roomId: created.roomId });
+      }
+      // The room ID stays the first argument for older clients
+      reply(created?.roomId ?? null, created ? { hostToken: created.hostToken } : undefined);
+    } catch (error) {
+      log.error('Room creation failed', { error });
+      reply(null);
+    }
+  }));
+
+  socket.on('joinRoom', safeHandler(async ({ roomId, username, language, lastUtteranceId, replayAudio, speakTypedMessages = true, hostToken, memberToken, voice, speed, audioFormat, spokenLanguage, subtitleLanguages, showOriginal, captionsOnly, binaryAudio }, callback) => {
+    log.debug('Join room attempt', { roomId });
+    const reply = typeof callback === 'function' ? callback : () => {};
+    // The language picks translations, glossary renderings and metric labels
+    if (!isSupportedLanguage(language)) {
+      reply(false, { error: 'Unsupported language' });
+      socket.emit('errorMessage', { message: 'Please choose a supported language.' });
+      return;
+    }
+    const room = await roomStore.getRoom(roomId);
+    if (room) {
+      // Check if user with this socket ID already exists in the room
+      const existingUser = room.users.find(u => u.socketId === socket.id);
+      
+      if (existingUser) {
+        // User already exists in the room, update their info
+        log.debug('User already in room, updating info', { roomId });
+      }
+
+      const isHost = Boolean(hostToken && room.hostTokenHash && hashToken(hostToken) === room.hostTokenHash);
+      const memberTokens = room.memberTokens || [];
+      const isMember = Boolean(memberToken && memberTokens.includes(hashToken(memberToken)));
+
+      // Locked rooms only let back in people who were already admitted
+      if (room.locked && !existingUser && !isHost && !isMember) {
+        log.info('Rejected join to locked room', { roomId });
+        reply(false, { error: 'Room is locked' });
+        socket.emit('errorMessage', { message: 'This room is locked by the host.' });
+        return;
+      }
+
+      // Hand out a member token so the user keeps their place (and any mute)
+      // across reconnects, which always come with a new socket ID
+      const grantedMemberToken = isMember ? memberToken : generateToken();
+      const memberTokenHash = hashToken(grantedMemberToken);
+      const roomChanges = { emptySince: null };
+      if (isHost) {
+        roomChanges.hostId = socket.id;
+      }
+
+      const preferences = normalizeAudioPreferences({ voice, speed, audioFormat });
+      const otherVoices = room.users
+        .filter(user => user.socketId !== socket.id)
+        .map(user => user.voice);
+
+      // Join the socket to the room first so room pruning on other
+      // instances never sees the user without a live socket
+      socket.join(roomId);
+      joinedRooms.add(roomId);
+
+      // Add the user, or update their info if they are already in the room
+      await roomStore.setUser(roomId, {
+        id: socket.id,
+        username,
+        language,
+        socketId: socket.id,
+        joinedAt: existingUser?.joinedAt || Date.now(),
+        speakTypedMessages: speakTypedMessages !== false,
+        // Captions-only listeners get text and never cost a speech request
+        captionsOnly: captionsOnly === true,
+        memberTokenHash,
+        // 'auto' detects the spoken language of every utterance; language
+        // stays the one this user reads and hears the room in
+        autoDetectLanguage: spokenLanguage === 'auto',
+        voice: preferences.voice || (AUTO_ASSIGN_VOICES ? pickDistinctVoice(language, otherVoices) : null),
+        speed: preferences.speed,
+        audioFormat: preferences.audioFormat,
+        subtitleLanguages: normalizeSubtitleLanguages(subtitleLanguages, language),
+        showOriginal: showOriginal === true,
+        // Clients that can take binary attachments get speech without base64
+        binaryAudio: binaryAudio === true
+      });
+      await roomStore.updateRoom(roomId, roomChanges);
+      if (!isMember) {
+        await roomStore.addToRoomList(roomId, 'memberTokens', memberTokenHash);
+      }
+      
+      // Store room ID in socket for easy reference
+      socket.roomId = roomId;
+      
+      // Update user list for all clients in the room
+      await emitUserList(roomId);
+      
+      reply(true, { userId: socket.id, memberToken: grantedMemberToken, isHost });
+      log.info('User joined room', { roomId, username, language, isHost });
+      emitWebhook('user.joined', room, {
+        userId: socket.id,
+        username,
+        language,
+        isHost,
+        // Reconnects come with a new socket ID but the same member token
+        rejoined: isMember || Boolean(existingUser)
+      });
+
+      // Catch the user up on what was said before they joined or while
+      // they were disconnected
+      replayBacklog(roomId, language, {
+        lastUtteranceId,
+        audioPreferences: replayAudio && captionsOnly !== true ? preferences : null,
+        subtitleLanguages: normalizeSubtitleLanguages(subtitleLanguages, language),
+        showOriginal: showOriginal === true
+      }).catch(error => {
+        log.error('Replay failed', { roomId, error });
+      });
+    } else {
+      log.info('Failed to join room: room not found', { roomId });
+      reply(false);
+      socket.emit('errorMessage', { message: 'Room not found or invalid. Please check the room ID and try again.' });
+    }
+  }));
+
+  // Change voice, speed, format, captions-only or subtitles without
+  // rejoining. With AUTO_ASSIGN_VOICES a speaker going back to automatic
+  // keeps the voice they have now.
+  socket.on('updatePreferences', safeHandler(async ({ roomId, voice, speed, audioFormat, captionsOnly, subtitleLanguages, showOriginal } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const room = await roomStore.getRoom(roomId);
+    const user = room?.users.find(u => u.socketId === socket.id);
+    if (!user) {
+      reply({ error: 'Not a member of this room' });
+      return;
+    }
+    if (subtitleLanguages !== undefined && (!Array.isArray(subtitleLanguages) || !subtitleLanguages.every(isSupportedLanguage))) {
+      reply({ error: 'Unsupported subtitle language' });
+      return;
+    }
+
+    // Fields left out keep their current value
+    const preferences = normalizeAudioPreferences({
+      voice: voice === undefined ? user.voice : voice,
+      speed: speed ?? user.speed,
+      audioFormat: audioFormat ?? user.audioFormat
+    });
+    const updatedUser = {
+      ...user,
+      voice: preferences.voice || (AUTO_ASSIGN_VOICES ? user.voice : null),
+      speed: preferences.speed,
+      audioFormat: preferences.audioFormat,
+      captionsOnly: captionsOnly === undefined ? user.captionsOnly === true : captionsOnly === true,
+      subtitleLanguages: normalizeSubtitleLanguages(subtitleLanguages ?? user.subtitleLanguages, user.language),
+      showOriginal: showOriginal === undefined ? user.showOriginal === true : showOriginal === true
+    };
+    await roomStore.setUser(roomId, updatedUser);
+    reply({
+      success: true,
+      voice: updatedUser.voice,
+      speed: updatedUser.speed,
+      audioFormat: updatedUser.audioFormat,
+      captionsOnly: updatedUser.captionsOnly,
+      subtitleLanguages: updatedUser.subtitleLanguages,
+      showOriginal: updatedUser.showOriginal
+    });
+  }));
+
+  // Relay recording indicators, but only for users who may talk right now
+  socket.on('updateRecordingStatus', safeHandler(async ({ roomId, isRecording }) => {
+    const room = await roomStore.getRoom(roomId);
+    const sender = room?.users.find(user => user.socketId === socket.id);
+    if (sender && (!isRecording || !speakingRestriction(room, sender))) {
+      io.to(roomId).emit('recordingStatusUpdate', { username: sender.username, isRecording });
+    }
+  }));
+
+  // Hand out a signed download link for the room transcript
+  socket.on('exportTranscript', safeHandler(async ({ roomId, format = 'txt', language = '' } = {}, callback) => {
+    if (typeof callback !== 'function') {
+      return;
+    }
+    if (!TRANSCRIPT_HISTORY) {
+      callback({ error: 'Transcript history is disabled on this server' });
+      return;
+    }
+    if (!Object.hasOwn(TRANSCRIPT_FORMATS, format)) {
+      callback({ error: 'Unsupported transcript format' });
+      return;
+    }
+    // The language ends up in the download's file name
+    if (typeof language !== 'string' || (language && !Object.hasOwn(LANGUAGE_NAMES, language))) {
+      callback({ error: 'Unsupported language' });
+      return;
+    }
+
+    const room = await roomStore.getRoom(roomId);
+    if (!room || !room.users.some(user => user.socketId === socket.id)) {
+      callback({ error: 'Not a member of this room' });
+      return;
+    }
+
+    const expires = Date.now() + TRANSCRIPT_LINK_TTL;
+    const query = new URLSearchParams({
+      format,
+      language,
+      expires: String(expires),
+      token: signTranscriptLink(roomId, format, language, expires)
+    });
+    callback({ url: `/rooms/${encodeURIComponent(roomId)}/transcript?${query}` });
+  }));
+
+  // Moderation: every action is checked against the room's current host
+  // here, whatever the client UI shows
+  const hostAction = (action) => safeHandler(async (payload = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const room = await roomStore.getRoom(payload.roomId);
+    if (!room) {
+      reply({ error: 'Room not found' });
+      return;
+    }
+    if (!room.hostId || room.hostId !== socket.id) {
+      reply({ error: 'Only the host can do that' });
+      return;
+    }
+    await action(room, payload, reply);
+  });
+
+  // Look up the participant a moderation action targets (never the host)
+  const findTarget = (room, userId, reply) => {
+    const target = room.users.find(user => user.id === userId);
+    if (!target) {
+      reply({ error: 'User not found in this room' });
+      return null;
+    }
+    if (target.socketId === room.hostId) {
+      reply({ error: 'The host cannot do that to themselves' });
+      return null;
+    }
+    return target;
+  };
+
+  socket.on('kickUser', hostAction(async (room, { userId }, reply) => {
+    const target = findTarget(room, userId, reply);
+    if (!target) {
+      return;
+    }
+
+    // Revoke the member token so a locked room stays closed to them
+    const remainingUsers = await roomStore.removeUser(room.id, target.socketId);
+    await roomStore.removeFromRoomLists(room.id, ['memberTokens', 'mutedMembers', 'speakers', 'handQueue'], target.memberTokenHash);
+    io.to(target.socketId).emit('removedFromRoom', { roomId: room.id, reason: 'kicked', message: 'You have been removed from the room by the host' });
+    io.in(target.socketId).socketsLeave(room.id);
+    // Unless they left on their own at the same moment
+    if (remainingUsers !== null) {
+      emitWebhook('user.left', room, { userId: target.socketId, username: target.username, reason: 'kicked' });
+    }
+
+    log.info('User kicked', { roomId: room.id, targetId: target.socketId });
+    await emitUserList(room.id);
+    reply({ success: true });
+  }));
+
+  socket.on('muteUser', hostAction(async (room, { userId, muted = true }, reply) => {
+    const target = findTarget(room, userId, reply);
+    if (!target) {
+      return;
+    }
+
+    if (muted) {
+      await roomStore.addToRoomList(room.id, 'mutedMembers', target.memberTokenHash);
+    } else {
+      await roomStore.removeFromRoomLists(room.id, ['mutedMembers'], target.memberTokenHash);
+    }
+    io.to(target.socketId).emit('muteStatus', { roomId: room.id, muted: Boolean(muted) });
+
+    log.info(muted ? 'User muted' : 'User unmuted', { roomId: room.id, targetId: target.socketId });
+    await emitUserList(room.id);
+    reply({ success: true });
+  }));
+
+  socket.on('lockRoom', hostAction(async (room, { locked = true }, reply) => {
+    await roomStore.updateRoom(room.id, { locked: Boolean(locked) });
+    log.info(locked ? 'Room locked' : 'Room unlocked', { roomId: room.id });
+    await emitUserList(room.id);
+    reply({ success: true });
+  }));
+
+  // Pass the host role on. The old host token stops working and the new
+  // host receives a fresh one to reclaim the role after reconnecting.
+  socket.on('transferHost', hostAction(async (room, { userId }, reply) => {
+    const target = findTarget(room, userId, reply);
+    if (!target) {
+      return;
+    }
+
+    const hostToken = generateToken();
+    await roomStore.updateRoom(room.id, {
+      hostId: target.socketId,
+      hostTokenHash: hashToken(hostToken)
+    });
+    // Hosts cannot unmute themselves, so the role always comes unmuted
+    await roomStore.removeFromRoomLists(room.id, ['mutedMembers'], target.memberTokenHash);
+    io.to(target.socketId).emit('hostToken', { roomId: room.id, hostToken });
+    socket.emit('hostToken', { roomId: room.id, hostToken: null });
+
+    log.info('Host role transferred', { roomId: room.id, targetId: target.socketId });
+    await emitUserList(room.id);
+    reply({ success: true });
+  }));
+
+  // Lecture mode: switching back to conversation mode keeps the speaker
+  // list for next time but drops raised hands
+  socket.on('setRoomMode', hostAction(async (room, { mode }, reply) => {
+    if (!ROOM_MODES.includes(mode)) {
+      reply({ error: 'Unknown room mode' });
+      return;
+    }
+    await roomStore.updateRoom(room.id, mode === 'lecture' ? { mode } : { mode, handQueue: [] });
+    log.info('Room mode changed', { roomId: room.id, mode });
+    await emitUserList(room.id);
+    reply({ success: true });
+  }));
+
+  socket.on('grantFloor', hostAction(async (room, { userId }, reply) => {
+    await changeFloor(room, userId, true, reply);
+  }));
+
+  socket.on('revokeFloor', hostAction(async (room, { userId }, reply) => {
+    await changeFloor(room, userId, false, reply);
+  }));
+
+  async function changeFloor(room, userId, granted, reply) {
+    const target = findTarget(room, userId, reply);
+    if (!target) {
+      return;
+    }
+
+    // Getting (or losing) the floor answers a raised hand
+    if (granted) {
+      await roomStore.addToRoomList(room.id, 'speakers', target.memberTokenHash);
+      await roomStore.removeFromRoomLists(room.id, ['handQueue'], target.memberTokenHash);
+    } else {
+      await roomStore.removeFromRoomLists(room.id, ['speakers', 'handQueue'], target.memberTokenHash);
+    }
+    // Their client stops recording on floorChanged; clear the indicator for everyone
+    if (!granted) {
+      io.to(room.id).emit('recordingStatusUpdate', { username: target.username, isRecording: false });
+    }
+
+    io.to(room.id).emit('floorChanged', { roomId: room.id, userId: target.id, username: target.username, hasFloor: granted });
+    log.info(granted ? 'Floor granted' : 'Floor revoked', { roomId: room.id, targetId: target.socketId });
+    await emitUserList(room.id);
+    reply({ success: true });
+  }
+
+  // Listeners queue up for the floor; the queue order is kept server-side
+  socket.on('raiseHand', safeHandler(async ({ roomId, raised = true } = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const room = await roomStore.getRoom(roomId);
+    const user = room?.users.find(u => u.socketId === socket.id);
+    if (!user) {
+      reply({ error: 'Not a member of this room' });
+      return;
+    }
+    if (raised && room.mode !== 'lecture') {
+      reply({ error: 'Hands can only be raised in lecture mode' });
+      return;
+    }
+    if (raised && hasFloor(room, user)) {
+      reply({ error: 'You already have the floor' });
+      return;
+    }
 
-      // Send original transcription back to the speaker
-      socket.emit('translatedAudio', {
-        username: sender.username,
-        text: transcription,
-        audio: null, // No need to send audio back to the speaker
-        language: sender.language,
-        isTranslation: false
-      });
-
-      // Get all unique languages in the room except sender's
-      const targetLanguages = new Set();
-      const sameLanguageUsers = [];
-      
-      room.users.forEach(user => {
-        if (user.socketId !== socket.id) {
-          if (user.language === sender.language) {
-            sameLanguageUsers.push(user);
-          } else {
-            targetLanguages.add(user.language);
-          }
-        }
+    // A hand raised again keeps its place in the queue
+    if (raised) {
+      await roomStore.addToRoomList(roomId, 'handQueue', user.memberTokenHash);
+    } else {
+      await roomStore.removeFromRoomLists(roomId, ['handQueue'], user.memberTokenHash);
+    }
+    await emitUserList(roomId);
+    reply({ success: true });
+  }));
+
+  // Replace the room glossary with uploaded JSON or CSV; empty content clears it
+  socket.on('setGlossary', hostAction(async (room, { content, format = 'json' }, reply) => {
+    if (!['json', 'csv'].includes(format)) {
+      reply({ error: 'Glossaries must be JSON or CSV' });
+      return;
+    }
+
+    let glossary = [];
+    if (content && content.trim()) {
+      try {
+        glossary = parseGlossary(content, format);
+      } catch (error) {
+        reply({ error: error.message });
+        return;
+      }
+    }
+
+    await roomStore.updateRoom(room.id, { glossary });
+    log.info('Room glossary set', { roomId: room.id, entries: glossary.length });
+    await emitUserList(room.id);
+    reply({ success: true, entryCount: glossary.length });
+  }));
+
+  // How many earlier turns the translator sees; 0 translates each message on its own
+  socket.on('setContextWindow', hostAction(async (room, { turns }, reply) => {
+    const contextTurns = parseContextTurns(turns);
+    if (contextTurns === null) {
+      reply({ error: `Context window must be between 0 and ${MAX_CONTEXT_TURNS} turns` });
+      return;
+    }
+    await roomStore.updateRoom(room.id, { contextTurns });
+    log.info('Room translation context changed', { roomId: room.id, contextTurns });
+    await emitUserList(room.id);
+    reply({ success: true });
+  }));
+
+  socket.on('endRoom', hostAction(async (room, payload, reply) => {
+    await closeRoom(room, 'The host has ended this room', 'host');
+
+    log.info('Room ended by its host', { roomId: room.id });
+    reply({ success: true });
+  }));
+
+  // Clean up the audioData handler
+  // audioData is binary, or base64 from older mobile clients
+  socket.on('audioData', safeHandler(async ({ roomId, audioData, isSpeaking }) => {
+    const audioBuffer = decodeAudioPayload(audioData);
+    log.debug('Received audio', { roomId, isSpeaking, bytes: audioBuffer?.length });
+
+    // Verify room exists and socket is in the room
+    const room = await roomStore.getRoom(roomId);
+    if (!room) {
+      log.warn('Audio for unknown room', { roomId });
+      socket.emit('errorMessage', { message: 'Room not found' });
+      return;
+    }
+
+    if (!room.users.some(user => user.socketId === socket.id)) {
+      log.warn('Audio from a socket outside the room', { roomId });
+      socket.emit('errorMessage', { message: 'Not a member of this room' });
+      return;
+    }
+
+    const sender = room.users.find(user => user.socketId === socket.id);
+    const restriction = (shuttingDown && SHUTDOWN_MESSAGE) ||
+      speakingRestriction(room, sender) ||
+      await budgetRestriction(roomId);
+    if (restriction) {
+      socket.emit('errorMessage', { message: restriction });
+      return;
+    }
+    if (sender) {
+      io.to(roomId).emit('processingStatusUpdate', { username: sender.username });
+    }
+
+    if (!isSpeaking && audioBuffer?.length > 0) {
+      const utteranceId = uuidv4();
+      queueUtterance({ roomId, utteranceId, source: 'speech', username: sender.username }, () => processAudioData(roomId, socket, audioBuffer, utteranceId));
+    }
+  }));
+
+  // Typed messages skip transcription and go straight to translation
+  socket.on('textMessage', safeHandler(async ({ roomId, text } = {}) => {
+    const messageText = typeof text === 'string' ? text.trim() : '';
+    if (!messageText) {
+      socket.emit('errorMessage', { message: 'Message is empty' });
+      return;
+    }
+    if (messageText.length > MAX_TEXT_MESSAGE_LENGTH) {
+      socket.emit('errorMessage', { message: `Message is longer than ${MAX_TEXT_MESSAGE_LENGTH} characters` });
+      return;
+    }
+
+    const room = await roomStore.getRoom(roomId);
+    if (!room) {
+      socket.emit('errorMessage', { message: 'Room not found' });
+      return;
+    }
+
+    const sender = room.users.find(user => user.socketId === socket.id);
+    if (!sender) {
+      socket.emit('errorMessage', { message: 'Not a member of this room' });
+      return;
+    }
+    const restriction = (shuttingDown && SHUTDOWN_MESSAGE) ||
+      speakingRestriction(room, sender) ||
+      await budgetRestriction(roomId);
+    if (restriction) {
+      socket.emit('errorMessage', { message: restriction });
+      return;
+    }
+
+    const sentAt = Date.now();
+    const utteranceId = uuidv4();
+    await queueUtterance({ roomId, utteranceId, source: 'text', username: sender.username }, async () => {
+      // The room may have changed while the message waited
+      const currentRoom = await roomStore.getRoom(roomId);
+      const currentSender = currentRoom?.users.find(user => user.socketId === socket.id);
+      if (!currentSender) {
+        return;
+      }
+      await deliverUtterance(socket, currentRoom, currentSender, {
+        utteranceId,
+        text: messageText,
+        source: 'text',
+        startedAt: sentAt,
+        endedAt: sentAt
       });
+    });
+  }));
+
+  // Streaming mode: the client sends chunks while recording and the server
+  // emits interim transcripts/translations until the final chunk arrives.
+  // A socket has at most one stream open; starting another drops the old one.
+  const streamingUtterances = new Map();
+
+  const dropStream = (utteranceId) => {
+    clearTimeout(streamingUtterances.get(utteranceId)?.idleTimer);
+    streamingUtterances.delete(utteranceId);
+  };
+
+  socket.on('audioChunk', safeHandler(async ({ roomId, utteranceId, chunk, sequence, isFinal }) => {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) {
+      socket.emit('errorMessage', { message: 'Room not found', utteranceId });
+      return;
+    }
 
-      // Send original text and audio to users with the same language
-      if (sameLanguageUsers.length > 0) {
-        const speechResponse = await openai.audio.speech.create({
-          model: 'tts-1',
-          voice: LANGUAGE_TO_VOICE[sender.language] || 'alloy',
-          input: transcription,
-          response_format: 'mp3',
-          speed: 1.0,
-        });
+    const sender = room.users.find(user => user.socketId === socket.id);
+    if (!sender) {
+      socket.emit('errorMessage', { message: 'Not a member of this room', utteranceId });
+      return;
+    }
+    // Streams already under way may finish during shutdown, new ones may not
+    const restriction = (shuttingDown && !streamingUtterances.has(utteranceId) && SHUTDOWN_MESSAGE) ||
+      speakingRestriction(room, sender) ||
+      await budgetRestriction(roomId);
+    if (restriction) {
+      dropStream(utteranceId);
+      socket.emit('errorMessage', { message: restriction, utteranceId });
+      return;
+    }
 
-        const audioBufferResponse = Buffer.from(
-          await speechResponse.arrayBuffer()
-        );
-
-        // Send audio to all users with the same language
-        sameLanguageUsers.forEach(user => {
-          socket.to(user.socketId).emit('translatedAudio', {
-            username: sender.username,
-            text: transcription,
-            audio: audioBufferResponse.toString('base64'),
-            language: sender.language,
-            isTranslation: false
-          });
-        });
+    if (!utteranceId || typeof utteranceId !== 'string') {
+      socket.emit('errorMessage', { message: 'Missing utterance ID' });
+      return;
+    }
+
+    let stream = streamingUtterances.get(utteranceId);
+    // Chunks can arrive out of order, so they are kept by sequence number
+    const index = sequence ?? stream?.chunks.length ?? 0;
+    if (!Number.isInteger(index) || index < 0 || index >= STREAM_MAX_CHUNKS) {
+      dropStream(utteranceId);
+      socket.emit('errorMessage', { message: 'Invalid audio chunk', username: sender.username, utteranceId });
+      return;
+    }
+
+    if (!stream) {
+      for (const openUtteranceId of streamingUtterances.keys()) {
+        log.debug('Dropping unfinished stream', { roomId, utteranceId: openUtteranceId });
+        dropStream(openUtteranceId);
+      }
+      stream = { roomId, chunks: [], size: 0, startedAt: Date.now(), lastInterimAt: Date.now(), interimInFlight: false, lastText: '' };
+      streamingUtterances.set(utteranceId, stream);
+    }
+    clearTimeout(stream.idleTimer);
+    stream.idleTimer = setTimeout(() => {
+      log.debug('Dropping idle stream', { roomId, utteranceId });
+      streamingUtterances.delete(utteranceId);
+    }, STREAM_IDLE_TIMEOUT);
+
+    const chunkBuffer = decodeAudioPayload(chunk);
+    if (chunkBuffer?.length > 0) {
+      stream.size += chunkBuffer.length - (stream.chunks[index]?.length || 0);
+      stream.chunks[index] = chunkBuffer;
+    }
+
+    if (stream.size > MAX_FILE_SIZE) {
+      dropStream(utteranceId);
+      socket.emit('errorMessage', { message: 'Audio file too large', username: sender.username, utteranceId });
+      return;
+    }
+
+    if (isFinal) {
+      dropStream(utteranceId);
+      const audioBuffer = Buffer.concat(stream.chunks.filter(Boolean));
+      if (audioBuffer.length > 0) {
+        io.to(roomId).emit('processingStatusUpdate', { username: sender.username });
+        queueUtterance({ roomId, utteranceId, source: 'speech', username: sender.username }, () => processAudioData(roomId, socket, audioBuffer, utteranceId, stream.startedAt));
       }
+      return;
+    }
 
-      // Translate and generate speech for each target language
-      for (const targetLang of targetLanguages) {
-        // Get translation for this language
-        const translationResponse = await openai.chat.completions.create({
-          model: 'gpt-4o-mini',
-          messages: [
-            {
-              role: 'system',
-              content: `You are a professional translator specializing in ${LANGUAGE_NAMES[sender.language]} to ${LANGUAGE_NAMES[targetLang]} translation.
-Your task is to translate the following text naturally and idiomatically, preserving the original meaning and tone.
-For informal speech, maintain a conversational style. For formal content, maintain appropriate formality.
-Provide ONLY the translation without any explanations or notes.`,
-            },
-            {
-              role: 'user',
-              content: transcription,
-            },
-          ],
-          temperature: 0.3,
+    // Interim captions are a nicety: they only use idle processing slots
+    if (!stream.interimInFlight && Date.now() - stream.lastInterimAt >= STREAMING_INTERIM_INTERVAL) {
+      const interim = jobQueue.tryRun(() => processInterimAudio(utteranceId, stream));
+      if (interim) {
+        stream.interimInFlight = true;
+        trackJob(interim).finally(() => {
+          stream.interimInFlight = false;
+          stream.lastInterimAt = Date.now();
         });
+      }
+    }
+  }));
+
+  // Add heartbeat handler to respond to client pings
+  socket.on('heartbeat', (clientTime, callback) => {
+    log.debug('Heartbeat received', { clientTime });
+    
+    // Check if the socket is still in a room
+    const socketRooms = Array.from(socket.rooms).filter(room => room !== socket.id);
+    const isInRoom = socketRooms.length > 0;
+    
+    // Respond with the client's timestamp and server status to calculate round-trip time
+    if (typeof callback === 'function') {
+      callback(clientTime, { 
+        serverTime: Date.now(),
+        isInRoom,
+        rooms: socketRooms
+      });
+    }
+  });
+
+  // Convert a recording to WAV in memory, resolving { wav, duration }.
+  // Recordings longer than maxDuration seconds are rejected.
+  async function prepareWav(audioBuffer, { maxDuration } = {}) {
+    try {
+      const converted = await observeStage('conversion', 'ffmpeg', () => convertToWav(audioBuffer, { maxDuration, tempDir: TEMP_DIR }));
+      log.debug('Audio converted', { inputBytes: audioBuffer.length, wavBytes: converted.wav.length, duration: converted.duration });
+      return converted;
+    } catch (error) {
+      if (error.stage === 'conversion') {
+        log.error('FFmpeg conversion failed', { error });
+      }
+      throw error;
+    }
+  }
+
+  // Transcribe the audio received so far for a streamed utterance and send
+  // text-only interim results. Failures are logged and otherwise ignored,
+  // the final pass reports errors to the speaker.
+  async function processInterimAudio(utteranceId, stream) {
+    try {
+      // Chunks after a gap in the sequence can't be decoded yet
+      const firstGap = stream.chunks.findIndex(chunk => !chunk);
+      const contiguousChunks = firstGap === -1 ? stream.chunks : stream.chunks.slice(0, firstGap);
+      if (contiguousChunks.length === 0) {
+        return;
+      }
+
+      const { wav } = await prepareWav(Buffer.concat(contiguousChunks));
+
+      const room = await roomStore.getRoom(stream.roomId);
+      const sender = room?.users.find(user => user.socketId === socket.id);
+      if (!sender) {
+        return;
+      }
+
+      const pipeline = meteredPipeline(room, sender);
+      const heard = await transcribeSpeech(pipeline, sender, wav);
+      const transcription = heard.text;
+      const spokenLanguage = heard.language;
+
+      // Skip empty or unchanged text, and results that lost the race with the final chunk
+      if (!transcription || transcription === stream.lastText || !streamingUtterances.has(utteranceId)) {
+        return;
+      }
+      stream.lastText = transcription;
 
-        const translatedText = translationResponse.choices[0].message.content.trim();
-        
-        // Generate speech for this translation
-        const speechResponse = await openai.audio.speech.create({
-          model: 'tts-1',
-          voice: LANGUAGE_TO_VOICE[targetLang] || 'alloy',
-          input: translatedText,
-          response_format: 'mp3',
-          speed: 1.0,
+      const recipients = room.users.filter(user => user.socketId !== socket.id);
+      const interimMessage = {
+        utteranceId,
+        username: sender.username,
+        language: spokenLanguage,
+        isTranslation: false,
+        text: transcription
+      };
+
+      socket.emit('interimTranscript', interimMessage);
+      recipients
+        .filter(user => user.language === spokenLanguage)
+        .forEach(user => socket.to(user.socketId).emit('interimTranscript', interimMessage));
+
+      const targetLanguages = new Set(
+        recipients.map(user => user.language).filter(language => language !== spokenLanguage)
+      );
+
+      await runWithConcurrency(Array.from(targetLanguages, targetLang => async () => {
+        const translatedText = await pipeline.translate({
+          text: transcription,
+          sourceLanguage: spokenLanguage,
+          targetLanguage: targetLang
         });
 
-        const audioBufferResponse = Buffer.from(
-          await speechResponse.arrayBuffer()
-        );
-
-        // Get all users who need this language
-        const targetUsers = room.users.filter(
-          user => user.language === targetLang && user.socketId !== sender.socketId
-        );
-
-        // Emit translated text and audio to all users of this language
-        targetUsers.forEach(user => {
-          socket.to(user.socketId).emit('translatedAudio', {
-            username: sender.username,
-            text: translatedText,
-            audio: audioBufferResponse.toString('base64'),
+        if (!streamingUtterances.has(utteranceId)) {
+          return;
+        }
+
+        recipients
+          .filter(user => user.language === targetLang)
+          .forEach(user => socket.to(user.socketId).emit('interimTranscript', {
+            ...interimMessage,
             language: targetLang,
-            isTranslation: true
-          });
-        });
-      }
+            isTranslation: true,
+            text: translatedText
+          }));
+      }), FANOUT_CONCURRENCY);
+    } catch (error) {
+      log.warn('Interim processing failed', { roomId: stream.roomId, utteranceId, error });
+    }
+  }
+
+  // Produce and deliver one language group's rendering of an utterance.
+  // Speech is only generated when at least one user of the group wants audio.
+  // A failure only reaches the users of that group, other groups are unaffected.
+  // Each user also gets the subtitles they subscribed to in the same message.
+  async function deliverToLanguageGroup(socket, sender, users, utteranceId, language, { isTranslation, source, endedAt, render, synthesize, wantsAudio, subtitlesFor }) {
+    try {
+      const { text, glossaryWarnings } = await render(language);
 
+      // Synthesize once per distinct speed/format among the listeners who want audio
+      const audioGroups = new Map();
+      users.filter(wantsAudio).forEach(user => {
+        const preferences = normalizeAudioPreferences(user);
+        audioGroups.set(audioPreferenceKey(preferences), preferences);
+      });
+      const synthesizedAudio = new Map();
+      await Promise.all(Array.from(audioGroups, async ([key, preferences]) => {
+        synthesizedAudio.set(key, await synthesize(text, preferences));
+      }));
+
+      // Emit text and audio to all users of this language
+      await Promise.all(users.map(async user => {
+        const preferences = normalizeAudioPreferences(user);
+        const subtitles = await subtitlesFor(user);
+        socket.to(user.socketId).emit('translatedAudio', {
+          utteranceId,
+          username: sender.username,
+          text,
+          audio: wantsAudio(user) ? encodeAudioPayload(synthesizedAudio.get(audioPreferenceKey(preferences)), user.binaryAudio) : null,
+          audioFormat: preferences.audioFormat,
+          language,
+          isTranslation,
+          source,
+          ...(glossaryWarnings.length > 0 && { glossaryWarnings }),
+          ...(subtitles.length > 0 && { subtitles })
+        });
+        recordDelivery(language, endedAt);
+      }));
     } catch (error) {
-      const sender = rooms[roomId]?.users.find(user => user.socketId === socket.id);
-      socket.emit('errorMessage', { 
-        message: error.message || 'Error processing audio data',
-        username: sender?.username
+      log.error('Delivery to language group failed', { utteranceId, language, error });
+      recordUtteranceFailed(source, error.stage || 'delivery');
+      users.forEach(user => {
+        socket.to(user.socketId).emit('errorMessage', {
+          message: `Could not translate message from ${sender.username}`,
+          username: sender.username,
+          utteranceId,
+          language
+        });
       });
-    } finally {
-      // Clean up temporary files with error handling
-      for (const filePath of [tempFilePath, wavFilePath]) {
-        if (filePath && fs.existsSync(filePath)) {
-          try {
-            fs.unlinkSync(filePath);
-          } catch (error) {
-            console.error(`Error deleting temp file: ${filePath}`);
-          }
+    }
+  }
+
+  // Deliver a finished utterance, spoken or typed, to everyone in the room:
+  // the original back to the sender, then one concurrent task per language
+  // group. The utterance is recorded in the transcript once all groups are done.
+  // language is what was actually spoken, which for senders using language
+  // detection can differ from their declared language; detectedLanguage is
+  // set only in that case and reported back to the sender.
+  async function deliverUtterance(socket, room, sender, { utteranceId, text, language: spokenLanguage = sender.language, detectedLanguage, source, startedAt, endedAt }) {
+    const pipeline = meteredPipeline(room, sender);
+
+    // Captions-only users never get audio, and typed messages are only read
+    // aloud to users who asked for it. Groups where nobody wants audio skip
+    // speech synthesis entirely.
+    const wantsAudio = (user) => !user.captionsOnly && (source !== 'text' || user.speakTypedMessages !== false);
+
+    // Earlier turns give the translator context; each language group gets
+    // them with the translations its listeners already received
+    const contextTurns = room.contextTurns ?? TRANSLATION_CONTEXT_TURNS;
+    const recentTurns = await loadRecentTurns(room.id, contextTurns);
+
+    // Every language is translated at most once per utterance, whether it is
+    // someone's primary language or only a subtitle. Renderings resolve with
+    // { text, glossaryWarnings }.
+    const renderings = new Map();
+    const render = (language) => {
+      if (!renderings.has(language)) {
+        renderings.set(language, renderLanguage(language));
+      }
+      return renderings.get(language);
+    };
+    const renderLanguage = async (language) => {
+      // Users with the same language get the original text
+      if (language === spokenLanguage) {
+        return { text, glossaryWarnings: [] };
+      }
+      const translatedText = await pipeline.translate({
+        text,
+        sourceLanguage: spokenLanguage,
+        targetLanguage: language,
+        context: buildTranslationContext(recentTurns, {
+          targetLanguage: language,
+          maxTurns: contextTurns,
+          maxTokens: TRANSLATION_CONTEXT_TOKENS
+        })
+      });
+      return {
+        text: translatedText,
+        // Flag translations that ignored a glossary entry
+        glossaryWarnings: findGlossaryMisses(room.glossary, {
+          text,
+          translatedText,
+          sourceLanguage: spokenLanguage,
+          targetLanguage: language
+        })
+      };
+    };
+
+    // Subtitles are extras: one that fails to translate is left out
+    // instead of holding back the user's primary language
+    const subtitlesFor = async (user) => {
+      const subtitles = await Promise.all(subtitleLanguagesFor(user, spokenLanguage).map(async language => {
+        try {
+          const rendering = await render(language);
+          return { language, text: rendering.text, isTranslation: language !== spokenLanguage };
+        } catch (error) {
+          log.warn('Subtitle translation failed', { roomId: room.id, utteranceId, language, error });
+          return null;
         }
+      }));
+      return subtitles.filter(Boolean);
+    };
+
+    // Send original text back to the sender
+    socket.emit('translatedAudio', {
+      utteranceId,
+      username: sender.username,
+      text,
+      audio: null, // No need to send audio back to the sender
+      language: spokenLanguage,
+      isTranslation: false,
+      source,
+      ...(detectedLanguage && { detectedLanguage })
+    });
+
+    // Group everyone except the sender by language
+    const languageGroups = new Map();
+    room.users.forEach(user => {
+      if (user.socketId !== sender.socketId) {
+        const group = languageGroups.get(user.language) || [];
+        group.push(user);
+        languageGroups.set(user.language, group);
+      }
+    });
+
+    // One delivery task per language group. Tasks run concurrently and
+    // each group receives its result as soon as it is ready.
+    const deliveryTasks = Array.from(languageGroups, ([language, users]) => () =>
+      deliverToLanguageGroup(socket, sender, users, utteranceId, language, {
+        isTranslation: language !== spokenLanguage,
+        source,
+        endedAt,
+        wantsAudio,
+        render,
+        subtitlesFor,
+        // Rendered in the speaker's voice at each listener's speed and format
+        synthesize: (renderedText, { speed, audioFormat }) => pipeline.synthesize({
+          text: renderedText,
+          language,
+          voice: sender.voice || defaultVoice(language),
+          speed,
+          format: audioFormat
+        })
+      })
+    );
+
+    await runWithConcurrency(deliveryTasks, FANOUT_CONCURRENCY);
+    recordUtteranceProcessed(source);
+
+    // Record every translation that succeeded, subtitle-only languages included
+    const translations = {};
+    const glossaryWarnings = {};
+    for (const [language, rendering] of renderings) {
+      const result = await rendering.catch(() => null);
+      if (language === spokenLanguage || !result) {
+        continue;
+      }
+      translations[language] = result.text;
+      if (result.glossaryWarnings.length > 0) {
+        glossaryWarnings[language] = result.glossaryWarnings;
+        log.warn('Translation ignored glossary terms', { roomId: room.id, utteranceId, language, missedTerms: result.glossaryWarnings.length });
       }
     }
+
+    await recordTranscriptEntry(room.id, {
+      utteranceId,
+      speaker: sender.username,
+      language: spokenLanguage,
+      voice: sender.voice || null,
+      text,
+      translations,
+      ...(Object.keys(glossaryWarnings).length > 0 && { glossaryWarnings }),
+      source,
+      startedAt,
+      endedAt
+    });
+    emitWebhook('utterance.finalized', room, {
+      utteranceId,
+      speaker: sender.username,
+      language: spokenLanguage,
+      text,
+      translations,
+      source,
+      startedAt: new Date(startedAt).toISOString(),
+      endedAt: new Date(endedAt).toISOString()
+    });
   }
 
-  // Helper function to get audio duration
-  function getAudioDuration(filePath) {
-    return new Promise((resolve, reject) => {
-      ffmpeg.ffprobe(filePath, (err, metadata) => {
-        if (err) reject(err);
-        else resolve(metadata.format.duration);
-      });
+  // Render one transcript entry in the given language, translating and
+  // synthesizing on first use and caching the result. Audio is only
+  // rendered when audioPreferences are given. Without a pipeline only
+  // existing renderings are used.
+  async function renderReplayEntry(roomId, entry, language, audioPreferences, pipeline) {
+    const cacheKey = `${roomId}:${entry.utteranceId}:${language}`;
+    const cached = replayCache.get(cacheKey) || {};
+    const isTranslation = entry.language !== language;
+
+    let text = cached.text ?? (isTranslation ? entry.translations?.[language] : entry.text);
+    if (!text && !pipeline) {
+      return { ...replayMessage(entry, entry.text, entry.language, false), audio: null };
+    }
+    if (!text) {
+      try {
+        text = await pipeline.translate({
+          text: entry.text,
+          sourceLanguage: entry.language,
+          targetLanguage: language
+        });
+      } catch (error) {
+        log.error('Replay translation failed', { roomId, utteranceId: entry.utteranceId, language, error });
+        // Better to show the original than to leave a gap in the conversation
+        return { ...replayMessage(entry, entry.text, entry.language, false), audio: null };
+      }
+    }
+
+    const audioKey = audioPreferences ? audioPreferenceKey(audioPreferences) : null;
+    const cachedAudio = cached.audio || {};
+    let audio = audioKey ? cachedAudio[audioKey] ?? null : null;
+    if (audioKey && !audio && pipeline) {
+      try {
+        audio = await pipeline.synthesize({
+          text,
+          language,
+          voice: entry.voice || defaultVoice(language),
+          speed: audioPreferences.speed,
+          format: audioPreferences.audioFormat
+        });
+      } catch (error) {
+        log.error('Replay speech failed', { roomId, utteranceId: entry.utteranceId, language, error });
+      }
+    }
+
+    cacheReplayRendering(cacheKey, {
+      text,
+      audio: audio ? { ...cachedAudio, [audioKey]: audio } : cachedAudio
     });
+
+    return {
+      ...replayMessage(entry, text, language, isTranslation),
+      audio,
+      audioFormat: audio ? audioPreferences.audioFormat : null
+    };
+  }
+
+  function replayMessage(entry, text, language, isTranslation) {
+    return {
+      utteranceId: entry.utteranceId,
+      username: entry.speaker,
+      text,
+      language,
+      isTranslation,
+      timestamp: entry.startedAt
+    };
+  }
+
+  // Subtitles for a replayed entry, limited to renderings the transcript
+  // already holds so a backlog never triggers extra translations
+  function replaySubtitles(entry, listener) {
+    return subtitleLanguagesFor(listener, entry.language)
+      .map(language => ({
+        language,
+        text: language === entry.language ? entry.text : entry.translations?.[language],
+        isTranslation: language !== entry.language
+      }))
+      .filter(subtitle => subtitle.text);
   }
 
-  function leaveRoom(socket, roomId) {
-    if (!rooms[roomId]) {
-      return; // Room doesn't exist, nothing to do
+  // Send the most recent utterances to this socket in its language. After a
+  // reconnect only the utterances following lastUtteranceId are sent.
+  async function replayBacklog(roomId, language, { lastUtteranceId, audioPreferences, subtitleLanguages = [], showOriginal = false }) {
+    if (!TRANSCRIPT_HISTORY || REPLAY_BACKLOG_SIZE <= 0) {
+      return;
     }
-    
-    const user = rooms[roomId].users.find(u => u.socketId === socket.id);
-    if (!user) {
-      return; // User not in this room, nothing to do
+
+    let entries = (await roomStore.getTranscript(roomId))
+      .sort((a, b) => a.startedAt - b.startedAt);
+
+    const lastSeenIndex = lastUtteranceId
+      ? entries.findIndex(entry => entry.utteranceId === lastUtteranceId)
+      : -1;
+    if (lastSeenIndex !== -1) {
+      entries = entries.slice(lastSeenIndex + 1);
     }
-    
-    // Remove user from language groups
-    if (roomLanguageGroups[roomId]) {
-      const langGroup = roomLanguageGroups[roomId].get(user.language);
-      if (langGroup) {
-        const index = langGroup.findIndex(u => u.socketId === socket.id);
-        if (index !== -1) {
-          langGroup.splice(index, 1);
-        }
-        if (langGroup.length === 0) {
-          roomLanguageGroups[roomId].delete(user.language);
-        }
+    entries = entries.slice(-REPLAY_BACKLOG_SIZE);
+
+    if (entries.length === 0) {
+      return;
+    }
+
+    const room = await roomStore.getRoom(roomId);
+    const listener = room?.users.find(user => user.socketId === socket.id);
+    if (!listener) {
+      return;
+    }
+    // New renderings are metered against the listener; once the budget is
+    // used up only what was already translated is replayed
+    const pipeline = await budgetRestriction(roomId) ? null : meteredPipeline(room, listener);
+
+    const messages = [];
+    await runWithConcurrency(entries.map((entry, index) => async () => {
+      const rendered = await renderReplayEntry(roomId, entry, language, audioPreferences, pipeline);
+      const message = { ...rendered, audio: encodeAudioPayload(rendered.audio, listener.binaryAudio) };
+      const subtitles = replaySubtitles(entry, { language, subtitleLanguages, showOriginal });
+      messages[index] = subtitles.length > 0 ? { ...message, subtitles } : message;
+    }), FANOUT_CONCURRENCY);
+
+    socket.emit('conversationReplay', { messages: messages.filter(Boolean) });
+  }
+
+  // The last turns of the room's transcript, or none when history is off
+  async function loadRecentTurns(roomId, turns) {
+    if (!TRANSCRIPT_HISTORY || turns <= 0) {
+      return [];
+    }
+    try {
+      return await roomStore.getTranscript(roomId, turns);
+    } catch (error) {
+      // Translating without context beats not translating at all
+      log.error('Failed to load conversation context', { roomId, error });
+      return [];
+    }
+  }
+
+  // Append a finished utterance to the room's transcript log
+  async function recordTranscriptEntry(roomId, entry) {
+    if (!TRANSCRIPT_HISTORY) {
+      return;
+    }
+    try {
+      await roomStore.appendTranscript(roomId, entry);
+    } catch (error) {
+      log.error('Failed to record transcript entry', { roomId, utteranceId: entry.utteranceId, error });
+    }
+  }
+
+  async function processAudioData(roomId, socket, audioBuffer, utteranceId, startedAt = null) {
+    const receivedAt = Date.now();
+    // Failures outside the pipeline stages are counted under the current step
+    let step = 'validation';
+
+    try {
+      log.debug('Processing audio', { roomId, utteranceId, bytes: audioBuffer.length });
+
+      validateAudio(audioBuffer);
+
+      // Conversion stops as soon as the audio runs past the limit
+      const { wav, duration } = await prepareWav(audioBuffer, { maxDuration: MAX_AUDIO_DURATION });
+
+      const room = await roomStore.getRoom(roomId);
+      if (!room) {
+        throw new Error('Room not found');
+      }
+
+      const sender = room.users.find(user => user.socketId === socket.id);
+      if (!sender) {
+        throw new Error('Sender not found in room');
+      }
+
+      const pipeline = meteredPipeline(room, sender);
+
+      // Get transcription first
+      step = 'transcription';
+      const heard = await transcribeSpeech(pipeline, sender, wav);
+
+      if (!heard.text) {
+        throw new Error('Transcription returned empty text.');
       }
+
+      step = 'delivery';
+
+      await deliverUtterance(socket, room, sender, {
+        utteranceId,
+        text: heard.text,
+        language: heard.language,
+        detectedLanguage: sender.autoDetectLanguage ? heard.language : undefined,
+        source: 'speech',
+        startedAt: startedAt ?? Math.round(receivedAt - duration * 1000),
+        endedAt: receivedAt
+      });
+
+    } catch (error) {
+      recordUtteranceFailed('speech', error.stage || step);
+      log.warn('Audio processing failed', { roomId, utteranceId, step: error.stage || step, error });
+      const room = await roomStore.getRoom(roomId).catch(() => null);
+      const sender = room?.users.find(user => user.socketId === socket.id);
+      socket.emit('errorMessage', { 
+        message: error.message || 'Error processing audio data',
+        username: sender?.username,
+        utteranceId
+      });
     }
+  }
 
-    // Remove user from room
-    rooms[roomId].users = rooms[roomId].users.filter(
-      (u) => u.socketId !== socket.id
+  // Transcribe in the sender's language, or detect the language of this
+  // utterance for senders speaking "auto". Languages the room can't
+  // translate from fall back to the declared language.
+  async function transcribeSpeech(pipeline, sender, audio) {
+    const result = await pipeline.transcribe({
+      audio,
+      language: sender.autoDetectLanguage ? null : sender.language
+    });
+    return {
+      text: result?.text?.trim() || '',
+      language: result?.language || sender.language
+    };
+  }
+
+  // Send the participant list and the host/lock state to everyone in the room
+  async function emitUserList(roomId) {
+    const room = await roomStore.getRoom(roomId);
+    if (!room) {
+      return;
+    }
+    io.to(roomId).emit(
+      'updateUserList',
+      room.users.map((u) => ({
+        id: u.id,
+        username: u.username,
+        language: u.language,
+        autoDetectLanguage: Boolean(u.autoDetectLanguage),
+        isHost: u.socketId === room.hostId,
+        isMuted: isMuted(room, u),
+        hasFloor: hasFloor(room, u),
+        // 1-based position in the raise-hand queue, or null
+        handRaised: (room.handQueue || []).indexOf(u.memberTokenHash) + 1 || null
+      }))
     );
+    io.to(roomId).emit('roomState', {
+      roomId,
+      hostId: room.hostId || null,
+      locked: Boolean(room.locked),
+      mode: room.mode || 'conversation',
+      glossarySize: (room.glossary || []).length,
+      contextTurns: room.contextTurns ?? TRANSLATION_CONTEXT_TURNS
+    });
+  }
+
+  async function leaveRoom(socket, roomId) {
+    joinedRooms.delete(roomId);
+
+    // Kicked users and ended rooms are already gone from the store
+    const room = await roomStore.getRoom(roomId);
+    if (!room || !room.users.some(user => user.socketId === socket.id)) {
+      return;
+    }
+
+    // Remove user from room
+    const remainingUsers = await roomStore.removeUser(roomId, socket.id);
+    if (remainingUsers === null) {
+      return; // Room or user already removed (e.g. by pruning), nothing to do
+    }
+    const user = room.users.find(u => u.socketId === socket.id);
+    emitWebhook('user.left', room, { userId: socket.id, username: user.username, reason: 'left' });
+
+    // The host keeps their host token and can reclaim the role by rejoining
+    if (room.hostId === socket.id) {
+      await roomStore.updateRoom(roomId, { hostId: null });
+    }
 
-    // If room is empty, delete it immediately
-    if (rooms[roomId].users.length === 0) {
-      delete rooms[roomId];
-      delete roomLanguageGroups[roomId];
-      console.log(`Room ${roomId} deleted due to no active users.`);
+    // An empty room, with its transcript, is kept for ROOM_EMPTY_TTL so
+    // people can rejoin and export links keep working; pruning deletes it
+    if (remainingUsers === 0) {
+      await roomStore.updateRoom(roomId, { emptySince: Date.now() });
+      log.info('Room has no users left, keeping it for rejoin', { roomId });
     } else {
       // Otherwise, update the user list for remaining users
-      io.to(roomId).emit(
-        'updateUserList',
-        rooms[roomId].users.map((u) => ({
-          username: u.username,
-          language: u.language
-        }))
-      );
+      await emitUserList(roomId);
     }
   }
 });
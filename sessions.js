@@ -0,0 +1,115 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// sessions.js
+//
+// Sessions for socket handshakes. A verified client gets a short-lived
+// session token bound to its device ID, and a refresh token to trade for
+// the next session before that one expires.
+//
+// Session tokens are stateless: v1.<payload>.<signature>, the payload being
+// base64url JSON { deviceId, clientType, origin, expiresAt } signed with
+// APP_SECRET. Refresh tokens are random and single use; only their hashes
+// are kept, in the room store so they survive restarts and are shared by
+// every instance.
+
+import crypto from 'crypto';
+
+const TOKEN_VERSION = 'v1';
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Device IDs are chosen by the client, so only their shape is checked
+function isValidDeviceId(deviceId) {
+  return typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId);
+}
+
+// Options:
+//   secret      key the session tokens are signed with
+//   store       room store (see room-store.js) holding refresh tokens
+//   sessionTtl  ms a session token is valid
+//   refreshTtl  ms a refresh token is valid
+function createSessionManager({ secret, store, sessionTtl, refreshTtl }) {
+  const sign = (payload) => crypto
+    .createHmac('sha256', secret)
+    .update(`session:${payload}`)
+    .digest('base64url');
+
+  // Start a session: a new session token plus a refresh token for it
+  async function issue({ deviceId, clientType, origin = null }) {
+    const expiresAt = Date.now() + sessionTtl;
+    const payload = Buffer.from(JSON.stringify({ deviceId, clientType, origin, expiresAt })).toString('base64url');
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    await store.saveRefreshToken(hashToken(refreshToken), { deviceId, clientType, origin }, refreshTtl);
+
+    return {
+      sessionToken: `${TOKEN_VERSION}.${payload}.${sign(payload)}`,
+      expiresAt,
+      refreshToken,
+      refreshExpiresAt: Date.now() + refreshTtl
+    };
+  }
+
+  // The session of a token presented by deviceId, or null when the token is
+  // malformed, forged, expired or belongs to another device
+  function verify(token, deviceId) {
+    if (typeof token !== 'string') {
+      return null;
+    }
+    const [version, payload, signature] = token.split('.');
+    if (version !== TOKEN_VERSION || !payload || !signature) {
+      return null;
+    }
+    const expectedSignature = sign(payload);
+    if (signature.length !== expectedSignature.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature))) {
+      return null;
+    }
+
+    let session;
+    try {
+      session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+    if (!(session.expiresAt > Date.now()) || session.deviceId !== deviceId) {
+      return null;
+    }
+    return session;
+  }
+
+  // Trade a refresh token for a new session. The old refresh token stops
+  // working either way; null when it was unknown, expired or issued to
+  // another device.
+  async function refresh(refreshToken, deviceId) {
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return null;
+    }
+    const session = await store.takeRefreshToken(hashToken(refreshToken));
+    if (!session || session.deviceId !== deviceId) {
+      return null;
+    }
+    return issue(session);
+  }
+
+  return { issue, verify, refresh };
+}
+
+export { createSessionManager, isValidDeviceId };
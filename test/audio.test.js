@@ -0,0 +1,110 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// test/audio.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { convertToWav, decodeAudioPayload, encodeAudioPayload, removeTempFiles, trackTempFiles, wavDuration } from '../audio.js';
+import { checkFfmpeg } from '../health.js';
+
+const ffmpegMissing = await checkFfmpeg().then(() => false, () => 'ffmpeg is not installed');
+
+// A tone of the given length, encoded by ffmpeg in the given format
+function tone(seconds, format, extension) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'interpify-audio-'));
+  const outputPath = path.join(dir, `tone.${extension}`);
+  return new Promise((resolve, reject) => {
+    execFile('ffmpeg', ['-v', 'error', '-f', 'lavfi', '-i', `sine=frequency=440:duration=${seconds}`, ...format, outputPath], (error) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(fs.readFileSync(outputPath));
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+}
+
+function withTempDir(callback) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'interpify-temp-'));
+  return Promise.resolve(callback(dir)).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+test('payloads decode from binary or base64 and encode the way the listener asked', () => {
+  const audio = Buffer.from([1, 2, 3, 4]);
+
+  assert.deepEqual(decodeAudioPayload(audio), audio);
+  assert.deepEqual(decodeAudioPayload(new Uint8Array([9, 1, 2, 3, 4]).subarray(1)), audio);
+  assert.deepEqual(decodeAudioPayload(audio.buffer.slice(audio.byteOffset, audio.byteOffset + 4)), audio);
+  assert.deepEqual(decodeAudioPayload(audio.toString('base64')), audio);
+  assert.equal(decodeAudioPayload({ data: [1, 2] }), null);
+
+  assert.equal(encodeAudioPayload(audio, true), audio);
+  assert.equal(encodeAudioPayload(audio, false), 'AQIDBA==');
+  assert.equal(encodeAudioPayload(null, true), null);
+});
+
+test('recordings are piped through ffmpeg into 16kHz mono WAV', { skip: ffmpegMissing }, async () => {
+  const { wav, duration } = await convertToWav(await tone(2, ['-c:a', 'libopus'], 'ogg'));
+
+  assert.equal(wav.toString('latin1', 0, 4), 'RIFF');
+  assert.equal(wav.readUInt32LE(24), 16000);
+  assert.equal(wav.readUInt16LE(22), 1);
+  assert.ok(Math.abs(duration - 2) < 0.1, `duration ${duration}`);
+  assert.equal(wavDuration(wav), duration);
+});
+
+test('MP4 recordings with their index at the end convert through a temp file', { skip: ffmpegMissing }, async () => {
+  const recording = await tone(3, ['-c:a', 'aac'], 'm4a');
+  assert.equal(recording.toString('latin1', 4, 8), 'ftyp');
+
+  await withTempDir(async (tempDir) => {
+    const { duration } = await convertToWav(recording, { tempDir });
+    assert.ok(Math.abs(duration - 3) < 0.1, `duration ${duration}`);
+    assert.deepEqual(fs.readdirSync(tempDir), []);
+  });
+});
+
+test('recordings longer than maxDuration are rejected', { skip: ffmpegMissing }, async () => {
+  const recording = await tone(3, ['-c:a', 'aac'], 'm4a');
+
+  await withTempDir(async (tempDir) => {
+    await assert.rejects(convertToWav(recording, { maxDuration: 1, tempDir }), (error) => {
+      assert.equal(error.stage, 'validation');
+      return true;
+    });
+    assert.deepEqual(fs.readdirSync(tempDir), []);
+  });
+});
+
+test('tracked temp files are removed at shutdown', async () => {
+  await withTempDir((tempDir) => {
+    const filePath = path.join(tempDir, 'rec_in_flight.m4a');
+    fs.writeFileSync(filePath, 'audio');
+    trackTempFiles(filePath, path.join(tempDir, 'never_written.wav'));
+
+    removeTempFiles();
+    assert.deepEqual(fs.readdirSync(tempDir), []);
+  });
+});
@@ -0,0 +1,159 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// test/config.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ConfigError, describeConfig, loadConfig } from '../config.js';
+
+const REQUIRED = { APP_SECRET: 'secret', ALLOWED_ORIGINS: 'https://example.com', AI_PROVIDER: 'fake' };
+
+// The problems a ConfigError lists for env
+function problemsOf(env) {
+  try {
+    loadConfig(env);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError, `expected a ConfigError, got ${error}`);
+    return error.problems;
+  }
+  assert.fail('expected loadConfig to throw');
+}
+
+function withConfigFile(values, callback) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'interpify-config-'));
+  const filePath = path.join(dir, 'config.json');
+  fs.writeFileSync(filePath, JSON.stringify(values));
+  try {
+    return callback(filePath);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('unset settings take their defaults', () => {
+  const config = loadConfig(REQUIRED);
+
+  assert.equal(config.port, 3000);
+  assert.equal(config.roomStore, 'memory');
+  assert.equal(config.priceAudioMinute, 0.006);
+  assert.equal(config.logRedact, true);
+  assert.equal(config.logLevel, null);
+  assert.deepEqual(config.roomProviders, []);
+  assert.ok(Object.isFrozen(config));
+});
+
+test('values are parsed to their types', () => {
+  const config = loadConfig({
+    ...REQUIRED,
+    PORT: ' 8080 ',
+    MAX_AUDIO_DURATION: '90.5',
+    TRANSCRIPT_HISTORY: 'false',
+    ALLOWED_ORIGINS: 'https://a.example, ,https://b.example',
+    ROOM_PROVIDERS: 'fake,local',
+    WHISPER_CPP_MODEL: '/models/base.bin',
+    LOCAL_TRANSLATION_URL: 'http://localhost:8080/v1',
+    LOCAL_TRANSLATION_MODEL: 'llama'
+  });
+
+  assert.equal(config.port, 8080);
+  assert.equal(config.maxAudioDuration, 90.5);
+  assert.equal(config.transcriptHistory, false);
+  assert.deepEqual(config.allowedOrigins, ['https://a.example', 'https://b.example']);
+  assert.deepEqual(config.roomProviders, ['fake', 'local']);
+});
+
+test('every problem is reported together', () => {
+  const problems = problemsOf({
+    AI_PROVIDER: 'fake',
+    PORT: '70000',
+    QUEUE_CONCURRENCY: '1.5',
+    PRICE_AUDIO_MINUTE: 'abc',
+    LOG_LEVEL: 'verbose',
+    LOG_REDACT: 'no',
+    ROOM_PROVIDERS: 'fake,bogus'
+  });
+
+  assert.deepEqual(problems, [
+    'PORT must be at most 65535 (got "70000")',
+    'APP_SECRET is required',
+    'ALLOWED_ORIGINS is required',
+    'QUEUE_CONCURRENCY must be a whole number (got "1.5")',
+    'ROOM_PROVIDERS can only list openai, local, fake (got "fake,bogus")',
+    'PRICE_AUDIO_MINUTE must be a number (got "abc")',
+    'LOG_LEVEL must be one of debug, info, warn, error (got "verbose")',
+    'LOG_REDACT must be true or false (got "no")'
+  ]);
+});
+
+test('secret values are never echoed in problems', () => {
+  withConfigFile({ REDIS_URL: { url: 'redis://:password@localhost' } }, (filePath) => {
+    assert.deepEqual(problemsOf({ ...REQUIRED, CONFIG_FILE: filePath }), ['REDIS_URL must be a string (got a hidden value)']);
+  });
+});
+
+test('an invalid list is reported instead of breaking the checks that use it', () => {
+  const problems = problemsOf({ ...REQUIRED, WEBHOOK_URLS: ' , ' });
+  assert.deepEqual(problems, ['WEBHOOK_URLS must list at least one value (got " , ")']);
+});
+
+test('settings that depend on each other are checked together', () => {
+  assert.deepEqual(problemsOf({ ...REQUIRED, ROOM_STORE: 'redis' }), ['REDIS_URL is required for ROOM_STORE=redis']);
+  assert.deepEqual(problemsOf({ ...REQUIRED, AI_PROVIDER: 'openai' }), ['OPENAI_API_KEY is required for the openai provider']);
+  assert.deepEqual(problemsOf({ ...REQUIRED, TTS_PROVIDER: 'local', LOCAL_TTS_ENGINE: 'piper' }), [
+    'WHISPER_CPP_MODEL is required for the local provider',
+    'LOCAL_TRANSLATION_URL and LOCAL_TRANSLATION_MODEL are required for the local provider',
+    'PIPER_MODEL is required when LOCAL_TTS_ENGINE is piper'
+  ]);
+  assert.deepEqual(problemsOf({ ...REQUIRED, WEBHOOK_URLS: 'ftp://example.com/hook' }), [
+    'WEBHOOK_SECRET is required for WEBHOOK_URLS',
+    'WEBHOOK_URLS must list http(s) URLs (got "ftp://example.com/hook")'
+  ]);
+});
+
+test('the environment wins over CONFIG_FILE, which wins over the defaults', () => {
+  withConfigFile({ RATE_LIMIT_MAX: 300, PORT: 4000, PRICE_AUDIO_MINUTE: 0.01, LOG_REDACT: false }, (filePath) => {
+    const config = loadConfig({ ...REQUIRED, CONFIG_FILE: filePath, PORT: '5000' });
+
+    assert.equal(config.port, 5000);
+    assert.equal(config.rateLimitMax, 300);
+    assert.equal(config.priceAudioMinute, 0.01);
+    assert.equal(config.logRedact, false);
+  });
+});
+
+test('unknown CONFIG_FILE keys are problems', () => {
+  withConfigFile({ RATE_LIMT_MAX: 300 }, (filePath) => {
+    assert.deepEqual(problemsOf({ ...REQUIRED, CONFIG_FILE: filePath }), [
+      `CONFIG_FILE ${filePath}: unknown setting RATE_LIMT_MAX`
+    ]);
+  });
+});
+
+test('describeConfig hides secrets', () => {
+  const description = describeConfig(loadConfig({ ...REQUIRED, METRICS_TOKEN: 'token' }));
+
+  assert.equal(description.appSecret, '[set]');
+  assert.equal(description.metricsToken, '[set]');
+  assert.equal(description.adminApiKey, null);
+  assert.deepEqual(description.allowedOrigins, ['https://example.com']);
+});
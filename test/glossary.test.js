@@ -0,0 +1,98 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// test/glossary.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findGlossaryMisses, glossaryTermsFor, parseGlossary, transcriptionHint } from '../glossary.js';
+
+const GLOSSARY = [
+  { term: 'heart attack', translations: { fr: 'crise cardiaque', de: 'Herzinfarkt' }, doNotTranslate: false },
+  { term: 'Interpify', translations: {}, doNotTranslate: true }
+];
+
+test('CSV glossaries honour quotes, blank lines and the do_not_translate column', () => {
+  const csv = 'term,fr,do_not_translate\r\n"heart attack","crise ""cardiaque""",\n\nInterpify,,yes\n';
+
+  assert.deepEqual(parseGlossary(csv, 'csv'), [
+    { term: 'heart attack', translations: { fr: 'crise "cardiaque"' }, doNotTranslate: false },
+    { term: 'Interpify', translations: {}, doNotTranslate: true }
+  ]);
+});
+
+test('JSON glossaries may be a list or { entries }', () => {
+  const entries = [{ term: ' Interpify ', doNotTranslate: true }, { term: 'cat', translations: { fr: ' chat ', de: '' } }];
+
+  const expected = [
+    { term: 'Interpify', translations: {}, doNotTranslate: true },
+    { term: 'cat', translations: { fr: 'chat' }, doNotTranslate: false }
+  ];
+  assert.deepEqual(parseGlossary(JSON.stringify(entries), 'json'), expected);
+  assert.deepEqual(parseGlossary(JSON.stringify({ entries }), 'json'), expected);
+});
+
+test('unusable glossaries are refused with a message for the uploader', () => {
+  assert.throws(() => parseGlossary('{', 'json'), /^Error: Invalid JSON glossary/);
+  assert.throws(() => parseGlossary('{"terms": []}', 'json'), /expected a list of entries/);
+  assert.throws(() => parseGlossary('fr,de\nchat,Katze', 'csv'), /needs a "term" column/);
+  assert.throws(() => parseGlossary('[{ "term": "" }]', 'json'), /entry 1 needs a term/);
+  assert.throws(() => parseGlossary(JSON.stringify(Array(501).fill({ term: 'x' })), 'json'), /limited to 500 entries/);
+  assert.throws(() => parseGlossary(null, 'json'), /must be text/);
+});
+
+test('only terms found in the text, with a rendering in the target language, are used', () => {
+  assert.deepEqual(glossaryTermsFor(GLOSSARY, 'He had a Heart Attack at Interpify', 'en', 'fr'), [
+    { source: 'heart attack', target: 'crise cardiaque', doNotTranslate: false },
+    { source: 'Interpify', target: 'Interpify', doNotTranslate: true }
+  ]);
+  assert.deepEqual(glossaryTermsFor(GLOSSARY, 'heart attack', 'en', 'es'), []);
+  assert.deepEqual(glossaryTermsFor(GLOSSARY, 'Il a eu une crise cardiaque', 'fr', 'de'), [
+    { source: 'crise cardiaque', target: 'Herzinfarkt', doNotTranslate: false }
+  ]);
+  assert.deepEqual(glossaryTermsFor([], 'heart attack', 'en', 'fr'), []);
+});
+
+test('languages named like object properties have no rendering', () => {
+  assert.deepEqual(glossaryTermsFor(GLOSSARY, 'heart attack', 'en', 'constructor'), []);
+  assert.deepEqual(glossaryTermsFor(GLOSSARY, 'Interpify heart attack', 'constructor', '__proto__'), [
+    { source: 'Interpify', target: 'Interpify', doNotTranslate: true }
+  ]);
+  assert.equal(transcriptionHint(GLOSSARY, 'toString'), 'heart attack, Interpify');
+});
+
+test('translations missing a required rendering are reported', () => {
+  const misses = findGlossaryMisses(GLOSSARY, {
+    text: 'Interpify saw a heart attack',
+    translatedText: 'Interpify a vu un infarctus',
+    sourceLanguage: 'en',
+    targetLanguage: 'fr'
+  });
+
+  assert.deepEqual(misses, [{ term: 'heart attack', expected: 'crise cardiaque' }]);
+});
+
+test('transcription hints list renderings in the spoken language', () => {
+  assert.equal(transcriptionHint(GLOSSARY, 'de'), 'Herzinfarkt, Interpify');
+  assert.equal(transcriptionHint(GLOSSARY, 'es'), 'heart attack, Interpify');
+  assert.equal(transcriptionHint([], 'en'), undefined);
+
+  const long = Array.from({ length: 200 }, (_, index) => ({ term: `term number ${index}`, translations: {}, doNotTranslate: false }));
+  assert.ok(transcriptionHint(long, 'en').length <= 800);
+});
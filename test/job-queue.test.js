@@ -0,0 +1,112 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// test/job-queue.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QueueFullError, createJobQueue } from '../job-queue.js';
+
+// A job that runs until release() is called
+function blockingJob(log, name) {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  return { run: () => { log.push(name); return done; }, release: () => release(name) };
+}
+
+test('runs up to concurrency jobs at once and queues the rest', async () => {
+  const queue = createJobQueue({ concurrency: 2, maxPending: 10, maxPendingPerRoom: 10 });
+  const started = [];
+  const jobs = ['a', 'b', 'c'].map(name => blockingJob(started, name));
+  const positions = [];
+
+  const results = [
+    queue.enqueue('room', jobs[0].run),
+    queue.enqueue('room', jobs[1].run),
+    queue.enqueue('room', jobs[2].run, { onQueued: position => positions.push(position) })
+  ];
+  await Promise.resolve();
+  assert.deepEqual(started, ['a', 'b']);
+  assert.deepEqual(queue.stats(), { running: 2, pending: 1, rooms: 1 });
+  assert.deepEqual(positions, [1]);
+
+  jobs[0].release();
+  await results[0];
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(started, ['a', 'b', 'c']);
+
+  jobs[1].release();
+  jobs[2].release();
+  assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+  assert.deepEqual(queue.stats(), { running: 0, pending: 0, rooms: 0 });
+});
+
+test('rooms take turns', async () => {
+  const queue = createJobQueue({ concurrency: 1, maxPending: 10, maxPendingPerRoom: 10 });
+  const started = [];
+  const blocker = blockingJob(started, 'blocker');
+  const run = name => () => { started.push(name); };
+
+  const results = [
+    queue.enqueue('other', blocker.run),
+    queue.enqueue('busy', run('busy 1')),
+    queue.enqueue('busy', run('busy 2')),
+    queue.enqueue('busy', run('busy 3')),
+    queue.enqueue('quiet', run('quiet 1'))
+  ];
+  blocker.release();
+  await Promise.all(results);
+
+  assert.deepEqual(started, ['blocker', 'busy 1', 'quiet 1', 'busy 2', 'busy 3']);
+});
+
+test('refuses jobs when the queue or a room is full', async () => {
+  const queue = createJobQueue({ concurrency: 1, maxPending: 2, maxPendingPerRoom: 1 });
+  const blocker = blockingJob([], 'blocker');
+  const running = queue.enqueue('a', blocker.run);
+  const waiting = [queue.enqueue('a', () => 'a')];
+
+  await assert.rejects(queue.enqueue('a', () => 'a again'), QueueFullError);
+  waiting.push(queue.enqueue('b', () => 'b'));
+  await assert.rejects(queue.enqueue('c', () => 'c'), /server is busy/);
+
+  blocker.release();
+  assert.deepEqual(await Promise.all([running, ...waiting]), ['blocker', 'a', 'b']);
+});
+
+test('a failing job rejects its own promise and frees its slot', async () => {
+  const queue = createJobQueue({ concurrency: 1, maxPending: 10, maxPendingPerRoom: 10 });
+  const failing = queue.enqueue('room', () => { throw new Error('boom'); });
+  const next = queue.enqueue('room', () => 'next');
+
+  await assert.rejects(failing, /boom/);
+  assert.equal(await next, 'next');
+});
+
+test('tryRun only starts a job when a slot is free and nobody waits', async () => {
+  const queue = createJobQueue({ concurrency: 1, maxPending: 10, maxPendingPerRoom: 10 });
+  assert.equal(await queue.tryRun(() => 'interim'), 'interim');
+
+  const blocker = blockingJob([], 'blocker');
+  const running = queue.enqueue('room', blocker.run);
+  assert.equal(queue.tryRun(() => 'interim'), null);
+
+  blocker.release();
+  await running;
+});
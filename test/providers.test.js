@@ -0,0 +1,85 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// test/providers.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertToWav } from '../audio.js';
+import { checkFfmpeg } from '../health.js';
+import { getProvider } from '../providers.js';
+
+// Provider settings are read from the configuration on first use
+Object.assign(process.env, {
+  APP_SECRET: 'secret',
+  ALLOWED_ORIGINS: 'https://example.com',
+  AI_PROVIDER: 'fake',
+  FAKE_DETECTED_LANGUAGE: 'fr',
+  FAKE_FAIL_LANGUAGES: 'ja'
+});
+
+const ffmpegMissing = await checkFfmpeg().then(() => false, () => 'ffmpeg is not installed');
+
+const fake = () => getProvider('fake');
+
+test('the fake transcript depends only on the audio', async () => {
+  const first = await fake().transcribe({ audio: Buffer.from('one'), language: 'de' });
+  const again = await fake().transcribe({ audio: Buffer.from('one'), language: 'de' });
+  const other = await fake().transcribe({ audio: Buffer.from('two'), language: 'de' });
+
+  assert.deepEqual(first, again);
+  assert.match(first.text, /^Fake de transcript [0-9a-f]{8}$/);
+  assert.notEqual(other.text, first.text);
+});
+
+test('the fake provider detects FAKE_DETECTED_LANGUAGE', async () => {
+  const { text, language } = await fake().transcribe({ audio: Buffer.from('one') });
+
+  assert.equal(language, 'fr');
+  assert.match(text, /^Fake fr transcript/);
+});
+
+test('fake translations apply the glossary and fail for FAKE_FAIL_LANGUAGES', async () => {
+  const glossary = [{ source: 'heart attack', target: 'crise cardiaque' }];
+
+  assert.equal(await fake().translate({ text: 'a heart attack', targetLanguage: 'fr', glossary }), '[fr] a crise cardiaque');
+  await assert.rejects(fake().translate({ text: 'hello', targetLanguage: 'ja' }), /Fake translation to ja failed/);
+});
+
+test('fake speech comes in the requested format', async () => {
+  const mp3 = await fake().synthesize({ text: 'hello', format: 'mp3' });
+  const aac = await fake().synthesize({ text: 'hello', format: 'aac' });
+  const opus = await fake().synthesize({ text: 'hello', format: 'opus' });
+
+  assert.deepEqual([...mp3.subarray(0, 2)], [0xff, 0xfb]);
+  assert.deepEqual([...aac.subarray(0, 2)], [0xff, 0xf1]);
+  assert.equal(opus.toString('latin1', 0, 4), 'OggS');
+  assert.equal(opus.toString('latin1', 28, 36), 'OpusHead');
+  assert.deepEqual(await fake().synthesize({ text: 'hello' }), mp3);
+});
+
+test('fake speech decodes, with a length that follows the text', { skip: ffmpegMissing }, async () => {
+  for (const format of ['mp3', 'aac', 'opus']) {
+    const short = await convertToWav(await fake().synthesize({ text: 'x'.repeat(10), format }));
+    const long = await convertToWav(await fake().synthesize({ text: 'x'.repeat(300), format }));
+
+    assert.ok(short.duration > 0.1 && short.duration < 0.4, `${format}: ${short.duration}s`);
+    assert.ok(long.duration > 5 && long.duration < 9, `${format}: ${long.duration}s`);
+  }
+});
@@ -0,0 +1,71 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// test/rate-limit.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEventLimiter, createTokenBucket } from '../rate-limit.js';
+
+test('a bucket allows a burst, then refills over time', () => {
+  let time = 0;
+  const bucket = createTokenBucket({ burst: 2, perSecond: 1 }, () => time);
+
+  assert.equal(bucket.take(), 0);
+  assert.equal(bucket.take(), 0);
+  assert.equal(bucket.take(), 1000);
+
+  time = 500;
+  assert.equal(bucket.take(), 500);
+  time = 1000;
+  assert.equal(bucket.take(), 0);
+  assert.equal(bucket.take(), 1000);
+});
+
+test('a bucket never holds more than its burst', () => {
+  let time = 0;
+  const bucket = createTokenBucket({ burst: 1, perSecond: 10 }, () => time);
+
+  time = 60 * 1000;
+  assert.equal(bucket.take(), 0);
+  assert.equal(bucket.take(), 100);
+});
+
+test('listed events get their own bucket', () => {
+  const limiter = createEventLimiter({ createRoom: { burst: 1, perSecond: 0.1 } }, { burst: 5, perSecond: 1 });
+
+  assert.equal(limiter.take('createRoom'), 0);
+  assert.ok(limiter.take('createRoom') > 0);
+  assert.equal(limiter.take('textMessage'), 0);
+});
+
+test('unlisted events share one bucket with the default limits', () => {
+  const limiter = createEventLimiter({}, { burst: 2, perSecond: 1 });
+
+  assert.equal(limiter.take('first'), 0);
+  assert.equal(limiter.take('second'), 0);
+  assert.ok(limiter.take('third') > 0);
+});
+
+test('inherited property names are not treated as listed events', () => {
+  const limiter = createEventLimiter({}, { burst: 1, perSecond: 1 });
+
+  assert.equal(limiter.take('constructor'), 0);
+  assert.ok(limiter.take('toString') > 0);
+});
@@ -0,0 +1,164 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// test/room-store.test.js
+//
+// Every store is held to the same interface. The redis store needs a server:
+// set TEST_REDIS_URL (e.g. redis://localhost:6379) to include it.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createClient } from 'redis';
+import { createRoomStore } from '../room-store.js';
+
+const REDIS_URL = process.env.TEST_REDIS_URL;
+
+// Open a store of the given type, closed (and its files or keys removed)
+// when the test ends
+async function openStore(t, type) {
+  if (type === 'file') {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'interpify-rooms-'));
+    const store = createRoomStore({ type, filePath: path.join(dir, 'rooms.json') });
+    await store.init();
+    t.after(async () => {
+      await store.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return store;
+  }
+  if (type === 'redis') {
+    const redisClient = createClient({ url: REDIS_URL });
+    const redisPrefix = `interpify-test:${process.pid}:${Date.now()}:`;
+    const store = createRoomStore({ type, redisClient, redisPrefix });
+    await store.init();
+    t.after(async () => {
+      const keys = await redisClient.keys(`${redisPrefix}*`);
+      if (keys.length > 0) {
+        await redisClient.del(keys);
+      }
+      await store.close();
+    });
+    return store;
+  }
+  return createRoomStore({ type });
+}
+
+const user = (socketId, joinedAt) => ({ socketId, username: socketId, language: 'en', joinedAt });
+
+for (const type of ['memory', 'file', 'redis']) {
+  const skip = type === 'redis' && !REDIS_URL && 'TEST_REDIS_URL is not set';
+
+  test(`${type} store: a room ID can only be created once`, { skip }, async (t) => {
+    const store = await openStore(t, type);
+
+    const results = await Promise.all([
+      store.createRoom('room', { id: 'room', createdAt: 1, mode: 'lecture', memberTokens: [] }),
+      store.createRoom('room', { id: 'room', createdAt: 2, mode: 'conversation', memberTokens: [] })
+    ]);
+
+    assert.deepEqual(results.sort(), [false, true]);
+    const room = await store.getRoom('room');
+    assert.equal(room.id, 'room');
+    assert.deepEqual(room.memberTokens, []);
+    assert.equal(room.mode, room.createdAt === 1 ? 'lecture' : 'conversation');
+    assert.equal(await store.hasRoom('room'), true);
+    assert.deepEqual(await store.listRoomIds(), ['room']);
+  });
+
+  test(`${type} store: concurrent list updates are all kept`, { skip }, async (t) => {
+    const store = await openStore(t, type);
+    await store.createRoom('room', { id: 'room', speakers: [], handQueue: [], mutedMembers: [] });
+
+    await Promise.all(['a', 'b', 'c', 'a'].map(value => store.addToRoomList('room', 'handQueue', value)));
+    await store.addToRoomList('room', 'speakers', 'b');
+    await store.addToRoomList('room', 'mutedMembers', 'c');
+    assert.deepEqual([...(await store.getRoom('room')).handQueue].sort(), ['a', 'b', 'c']);
+
+    await Promise.all([
+      store.removeFromRoomLists('room', ['handQueue', 'speakers'], 'b'),
+      store.removeFromRoomLists('room', ['handQueue', 'mutedMembers'], 'c')
+    ]);
+    const room = await store.getRoom('room');
+    assert.deepEqual(room.handQueue, ['a']);
+    assert.deepEqual(room.speakers, []);
+    assert.deepEqual(room.mutedMembers, []);
+  });
+
+  test(`${type} store: list updates of a missing room or field`, { skip }, async (t) => {
+    const store = await openStore(t, type);
+    await store.createRoom('room', { id: 'room' });
+
+    await store.addToRoomList('room', 'memberTokens', 'token');
+    await store.addToRoomList('missing', 'memberTokens', 'token');
+    await store.removeFromRoomLists('missing', ['memberTokens'], 'token');
+
+    assert.deepEqual((await store.getRoom('room')).memberTokens, ['token']);
+    assert.equal(await store.hasRoom('missing'), false);
+  });
+
+  test(`${type} store: only one of several concurrent removals of a user reports it`, { skip }, async (t) => {
+    const store = await openStore(t, type);
+    await store.createRoom('room', { createdAt: 1 });
+    await store.setUser('room', user('a', 1));
+    await store.setUser('room', user('b', 2));
+
+    const results = await Promise.all([store.removeUser('room', 'a'), store.removeUser('room', 'a')]);
+
+    assert.deepEqual(results.sort(), [1, null]);
+    assert.deepEqual((await store.getRoom('room')).users.map(u => u.socketId), ['b']);
+    assert.equal(await store.removeUser('room', 'b'), 0);
+    assert.equal(await store.removeUser('missing', 'b'), null);
+  });
+
+  test(`${type} store: only the first deletion of a room reports it`, { skip }, async (t) => {
+    const store = await openStore(t, type);
+    await store.createRoom('room', { createdAt: 1 });
+    await store.setUser('room', user('a', 1));
+
+    const results = await Promise.all([store.deleteRoom('room'), store.deleteRoom('room')]);
+
+    assert.deepEqual(results.sort(), [false, true]);
+    assert.equal(await store.getRoom('room'), null);
+    assert.deepEqual(await store.listRoomIds(), []);
+  });
+}
+
+test('file store: changes are written on close and loaded by the next store', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'interpify-rooms-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'rooms.json');
+
+  const store = createRoomStore({ type: 'file', filePath });
+  await store.init();
+  await store.createRoom('room', { id: 'room', createdAt: 1, memberTokens: [] });
+  await store.setUser('room', user('a', 1));
+  await store.appendTranscript('room', { text: 'hello' });
+  await store.claimNonce('nonce', 60000);
+  await store.close();
+
+  const reopened = createRoomStore({ type: 'file', filePath });
+  await reopened.init();
+  t.after(() => reopened.close());
+  assert.deepEqual(await reopened.getRoom('room'), { id: 'room', createdAt: 1, memberTokens: [], users: [user('a', 1)] });
+  assert.deepEqual(await reopened.getTranscript('room'), [{ text: 'hello' }]);
+  assert.equal(await reopened.claimNonce('nonce', 60000), false);
+});
@@ -0,0 +1,93 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// test/sessions.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSessionManager, isValidDeviceId } from '../sessions.js';
+import { createRoomStore } from '../room-store.js';
+
+const DEVICE = 'device-0001';
+const MINUTE = 60 * 1000;
+
+const createManager = (options = {}) => createSessionManager({
+  secret: 'test-secret',
+  store: createRoomStore(),
+  sessionTtl: MINUTE,
+  refreshTtl: MINUTE,
+  ...options
+});
+
+test('a session token verifies for the device it was issued to', async () => {
+  const sessions = createManager();
+  const { sessionToken, expiresAt } = await sessions.issue({ deviceId: DEVICE, clientType: 'web', origin: 'https://example.com' });
+
+  const session = sessions.verify(sessionToken, DEVICE);
+  assert.equal(session.clientType, 'web');
+  assert.equal(session.origin, 'https://example.com');
+  assert.equal(session.expiresAt, expiresAt);
+  assert.equal(sessions.verify(sessionToken, 'device-0002'), null);
+});
+
+test('forged, malformed and expired session tokens are rejected', async () => {
+  const sessions = createManager();
+  const { sessionToken } = await sessions.issue({ deviceId: DEVICE, clientType: 'web' });
+  const [version, payload, signature] = sessionToken.split('.');
+  const otherPayload = Buffer.from(JSON.stringify({ deviceId: DEVICE, clientType: 'mobile', expiresAt: Date.now() + MINUTE })).toString('base64url');
+
+  assert.equal(sessions.verify(`${version}.${otherPayload}.${signature}`, DEVICE), null);
+  assert.equal(sessions.verify(`v2.${payload}.${signature}`, DEVICE), null);
+  assert.equal(sessions.verify('not a token', DEVICE), null);
+  assert.equal(sessions.verify(undefined, DEVICE), null);
+
+  const otherServer = createManager({ secret: 'other-secret' });
+  assert.equal(otherServer.verify(sessionToken, DEVICE), null);
+
+  const expired = createManager({ sessionTtl: 0 });
+  const { sessionToken: expiredToken } = await expired.issue({ deviceId: DEVICE, clientType: 'web' });
+  assert.equal(expired.verify(expiredToken, DEVICE), null);
+});
+
+test('a refresh token works once', async () => {
+  const sessions = createManager();
+  const { refreshToken } = await sessions.issue({ deviceId: DEVICE, clientType: 'mobile' });
+
+  const refreshed = await sessions.refresh(refreshToken, DEVICE);
+  assert.equal(sessions.verify(refreshed.sessionToken, DEVICE).clientType, 'mobile');
+  assert.notEqual(refreshed.refreshToken, refreshToken);
+  assert.equal(await sessions.refresh(refreshToken, DEVICE), null);
+});
+
+test('a refresh token presented by another device is refused and burnt', async () => {
+  const sessions = createManager();
+  const { refreshToken } = await sessions.issue({ deviceId: DEVICE, clientType: 'web' });
+
+  assert.equal(await sessions.refresh(refreshToken, 'device-0002'), null);
+  assert.equal(await sessions.refresh(refreshToken, DEVICE), null);
+  assert.equal(await sessions.refresh('', DEVICE), null);
+});
+
+test('device IDs must be 8 to 128 safe characters', () => {
+  assert.ok(isValidDeviceId('3f2b9c1e-aaaa-4bbb-8ccc-0123456789ab'));
+  assert.ok(!isValidDeviceId('short'));
+  assert.ok(!isValidDeviceId('x'.repeat(129)));
+  assert.ok(!isValidDeviceId('device id with spaces'));
+  assert.ok(!isValidDeviceId(12345678));
+});
@@ -0,0 +1,98 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// test/transcripts.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportTranscript } from '../transcripts.js';
+
+const entry = (fields) => ({
+  utteranceId: 'u1',
+  speaker: 'Alice',
+  language: 'en',
+  text: 'Hello',
+  translations: { fr: 'Bonjour' },
+  startedAt: 1000,
+  endedAt: 3000,
+  ...fields
+});
+
+test('SRT cues are numbered, timed from the first utterance and translated', () => {
+  const { content, filename, mimeType } = exportTranscript([
+    entry({ utteranceId: 'u2', speaker: 'Bob', text: 'Bye', translations: {}, startedAt: 4500, endedAt: 5000 }),
+    entry()
+  ], { format: 'srt', roomId: 'room1', language: 'fr' });
+
+  assert.equal(content, [
+    '1', '00:00:00,000 --> 00:00:02,000', 'Alice: Bonjour', '',
+    '2', '00:00:03,500 --> 00:00:04,500', 'Bob: Bye', ''
+  ].join('\n'));
+  assert.equal(filename, 'interpify-room1-fr.srt');
+  assert.equal(mimeType, 'application/x-subrip');
+});
+
+test('overlapping utterances get cues that do not overlap', () => {
+  const { content } = exportTranscript([
+    entry({ startedAt: 0, endedAt: 5000 }),
+    entry({ utteranceId: 'u2', startedAt: 2000, endedAt: 3000 })
+  ], { format: 'vtt', roomId: 'room1' });
+
+  assert.match(content, /00:00:00\.000 --> 00:00:05\.000/);
+  assert.match(content, /00:00:05\.000 --> 00:00:06\.000/);
+});
+
+test('speaker names and text cannot break out of a VTT cue', () => {
+  const { content } = exportTranscript([
+    entry({ speaker: 'Eve>&<b>', text: 'a --> b\n\n00:00:09.000 --> 00:00:10.000\n<c.x>injected</c>' })
+  ], { format: 'vtt', roomId: 'room1' });
+
+  assert.equal(content, [
+    'WEBVTT',
+    '',
+    '00:00:00.000 --> 00:00:02.000',
+    '<v Eve&gt;&amp;&lt;b&gt;>a --&gt; b 00:00:09.000 --&gt; 00:00:10.000 &lt;c.x&gt;injected&lt;/c&gt;',
+    ''
+  ].join('\n'));
+});
+
+test('speaker names and text cannot break out of an SRT cue', () => {
+  const { content } = exportTranscript([
+    entry({ speaker: '<i>Eve</i>', text: 'line one\r\n\r\n2\r\n00:00:09,000 --> 00:00:10,000' })
+  ], { format: 'srt', roomId: 'room1' });
+
+  assert.equal(content.split('\n\n').length, 1);
+  assert.match(content, /^&lt;i&gt;Eve&lt;\/i&gt;: line one 2 00:00:09,000 --&gt; 00:00:10,000$/m);
+});
+
+test('the text export lists every translation unless a language is asked for', () => {
+  const entries = [entry({ translations: { fr: 'Bonjour', de: 'Hallo' } })];
+
+  const all = exportTranscript(entries, { format: 'txt', roomId: 'room1' }).content;
+  assert.match(all, /\[00:00:00\] Alice \(English\)\n {2}Hello\n {2}French: Bonjour\n {2}German: Hallo/);
+
+  const french = exportTranscript(entries, { format: 'txt', roomId: 'room1', language: 'fr' }).content;
+  assert.ok(french.includes('French: Bonjour'));
+  assert.ok(!french.includes('Hallo'));
+});
+
+test('unknown formats are refused, including inherited property names', () => {
+  assert.throws(() => exportTranscript([], { format: 'docx', roomId: 'room1' }), /Unsupported transcript format/);
+  assert.throws(() => exportTranscript([], { format: 'constructor', roomId: 'room1' }), /Unsupported transcript format/);
+});
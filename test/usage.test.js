@@ -0,0 +1,75 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// test/usage.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRoomStore } from '../room-store.js';
+import { addUsage, emptyUsage, meterUsage, roundUsage } from '../usage.js';
+
+// Prices are read from the configuration on first use
+Object.assign(process.env, {
+  APP_SECRET: 'secret',
+  ALLOWED_ORIGINS: 'https://example.com',
+  AI_PROVIDER: 'fake',
+  PRICE_AUDIO_MINUTE: '0.6',
+  PRICE_INPUT_TOKENS_PER_MILLION: '1',
+  PRICE_OUTPUT_TOKENS_PER_MILLION: '2',
+  PRICE_TTS_CHARACTERS_PER_MILLION: '10'
+});
+
+test('openai usage is priced from the configured list prices', () => {
+  const usage = meterUsage({ provider: 'openai', audioSeconds: 30, inputTokens: 1000, outputTokens: 500, ttsCharacters: 2000 });
+
+  assert.deepEqual(roundUsage(usage), { audioSeconds: 30, inputTokens: 1000, outputTokens: 500, ttsCharacters: 2000, cost: 0.322 });
+});
+
+test('local engines and the fake provider are free', () => {
+  for (const provider of ['local', 'fake']) {
+    assert.equal(meterUsage({ provider, audioSeconds: 30, ttsCharacters: 2000 }).cost, 0);
+  }
+  assert.deepEqual(meterUsage({ provider: 'openai' }), emptyUsage());
+});
+
+test('counters add up, starting from nothing', () => {
+  const first = addUsage(undefined, { audioSeconds: 1.25, cost: 0.1 });
+  const total = addUsage(first, { audioSeconds: 2, inputTokens: 3, cost: 0.2 });
+
+  assert.deepEqual(roundUsage(total), { audioSeconds: 3.3, inputTokens: 3, outputTokens: 0, ttsCharacters: 0, cost: 0.3 });
+});
+
+test('the room store totals usage per room, per user and for the deployment', async () => {
+  const store = createRoomStore();
+  await store.createRoom('room', { id: 'room' });
+  await store.createRoom('other', { id: 'other' });
+  const alice = { id: 'alice-device', username: 'alice' };
+
+  await store.recordUsage('room', alice, meterUsage({ provider: 'openai', audioSeconds: 60 }));
+  await store.recordUsage('room', { id: 'bob-device', username: 'bob' }, meterUsage({ provider: 'openai', ttsCharacters: 100000 }));
+  await store.recordUsage('room', alice, meterUsage({ provider: 'fake', audioSeconds: 30 }));
+  await store.recordUsage('other', alice, meterUsage({ provider: 'openai', inputTokens: 1000000 }));
+  await store.deleteRoom('other');
+
+  const { total, users } = await store.getUsage('room');
+  assert.deepEqual(roundUsage(total), { ...emptyUsage(), audioSeconds: 90, ttsCharacters: 100000, cost: 1.6 });
+  assert.deepEqual(users.map(user => [user.username, roundUsage(user).cost]), [['alice', 0.6], ['bob', 1]]);
+  assert.equal(roundUsage(await store.getDeploymentUsage()).cost, 2.6);
+  assert.deepEqual(await store.getUsage('other'), { total: emptyUsage(), users: [] });
+});
@@ -0,0 +1,47 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// test/voices.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { defaultVoice, normalizeAudioPreferences, pickDistinctVoice } from '../voices.js';
+
+test('languages get their default voice, unknown ones alloy', () => {
+  assert.equal(defaultVoice('fr'), 'nova');
+  assert.equal(defaultVoice('en'), 'alloy');
+  assert.equal(defaultVoice('xx'), 'alloy');
+  assert.equal(defaultVoice('constructor'), 'alloy');
+});
+
+test('preferences keep known voices and formats and clamp the speed', () => {
+  assert.deepEqual(normalizeAudioPreferences({ voice: 'echo', speed: '1.5', audioFormat: 'opus' }), { voice: 'echo', speed: 1.5, audioFormat: 'opus' });
+  assert.deepEqual(normalizeAudioPreferences({ voice: 'robot', speed: 10, audioFormat: 'toString' }), { voice: null, speed: 4, audioFormat: 'mp3' });
+  assert.deepEqual(normalizeAudioPreferences({ speed: 0 }), { voice: null, speed: 0.25, audioFormat: 'mp3' });
+  assert.deepEqual(normalizeAudioPreferences({ speed: 'fast' }), { voice: null, speed: 1, audioFormat: 'mp3' });
+  assert.deepEqual(normalizeAudioPreferences(), { voice: null, speed: 1, audioFormat: 'mp3' });
+});
+
+test('speakers get the voice least used in the room, preferring their language default', () => {
+  assert.equal(pickDistinctVoice('fr', []), 'nova');
+  assert.equal(pickDistinctVoice('fr', ['nova']), 'alloy');
+  assert.equal(pickDistinctVoice('en', ['alloy', 'echo']), 'fable');
+  assert.equal(pickDistinctVoice('en', ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer']), 'alloy');
+  assert.equal(pickDistinctVoice('en', ['unknown']), 'alloy');
+});
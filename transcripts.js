@@ -0,0 +1,157 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// transcripts.js
+//
+// Export a room's transcript log. Each entry looks like:
+//   { utteranceId, speaker, language, text, translations: { fr: '...' },
+//     startedAt, endedAt }   (timestamps in ms since epoch)
+
+import { LANGUAGE_NAMES } from './languages.js';
+
+const TRANSCRIPT_FORMATS = {
+  srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+  vtt: { extension: 'vtt', mimeType: 'text/vtt' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  txt: { extension: 'txt', mimeType: 'text/plain' }
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Format an offset in ms as HH:MM:SS plus milliseconds after the separator
+function formatOffset(ms, separator) {
+  const totalMs = Math.max(0, Math.round(ms));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const seconds = Math.floor((totalMs % 60000) / 1000);
+  const base = `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+  return separator ? `${base}${separator}${pad(totalMs % 1000, 3)}` : base;
+}
+
+// Text of an entry in the requested language, falling back to the original
+function entryText(entry, language) {
+  if (!language || language === entry.language) {
+    return entry.text;
+  }
+  return entry.translations?.[language] ?? entry.text;
+}
+
+// Speaker names and text inside a cue. Line breaks would end the cue and
+// "-->" would read as a timing line, and players treat < and & as markup,
+// so both subtitle formats get the WebVTT escapes on a single line.
+function cueText(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\s*[\r\n]+\s*/g, ' ');
+}
+
+// Cues must not overlap or run backwards, even when utterances did
+function cueTimes(entries) {
+  const origin = entries.length > 0 ? entries[0].startedAt : 0;
+  let previousEnd = 0;
+  return entries.map(entry => {
+    const start = Math.max(entry.startedAt - origin, previousEnd);
+    const end = Math.max(entry.endedAt - origin, start + 1000);
+    previousEnd = end;
+    return { start, end };
+  });
+}
+
+function formatSrt(entries, language) {
+  const times = cueTimes(entries);
+  return entries.map((entry, index) => [
+    index + 1,
+    `${formatOffset(times[index].start, ',')} --> ${formatOffset(times[index].end, ',')}`,
+    `${cueText(entry.speaker)}: ${cueText(entryText(entry, language))}`
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+function formatVtt(entries, language) {
+  const times = cueTimes(entries);
+  const cues = entries.map((entry, index) => [
+    `${formatOffset(times[index].start, '.')} --> ${formatOffset(times[index].end, '.')}`,
+    `<v ${cueText(entry.speaker)}>${cueText(entryText(entry, language))}`
+  ].join('\n'));
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+function formatJson(entries, { roomId, exportedAt }) {
+  return JSON.stringify({ roomId, exportedAt, entries }, null, 2);
+}
+
+// Bilingual minutes: every original line followed by its translations
+// (only the requested language when one is given)
+function formatText(entries, { roomId, exportedAt, language }) {
+  const origin = entries.length > 0 ? entries[0].startedAt : 0;
+  const lines = [
+    `Interpify transcript - room ${roomId}`,
+    `Exported ${exportedAt}`,
+    ''
+  ];
+
+  for (const entry of entries) {
+    lines.push(`[${formatOffset(entry.startedAt - origin)}] ${entry.speaker} (${LANGUAGE_NAMES[entry.language] || entry.language})`);
+    lines.push(`  ${entry.text}`);
+
+    const translations = Object.entries(entry.translations || {})
+      .filter(([targetLanguage]) => !language || targetLanguage === language);
+    for (const [targetLanguage, text] of translations) {
+      lines.push(`  ${LANGUAGE_NAMES[targetLanguage] || targetLanguage}: ${text}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+// Render a transcript. Entries are sorted by start time because concurrent
+// utterances are logged in the order they finish processing.
+function exportTranscript(entries, { format, roomId, language }) {
+  if (!Object.hasOwn(TRANSCRIPT_FORMATS, format)) {
+    throw new Error(`Unsupported transcript format: ${format}`);
+  }
+  const formatInfo = TRANSCRIPT_FORMATS[format];
+
+  const sorted = [...entries].sort((a, b) => a.startedAt - b.startedAt);
+  const exportedAt = new Date().toISOString();
+
+  let content;
+  switch (format) {
+    case 'srt':
+      content = formatSrt(sorted, language);
+      break;
+    case 'vtt':
+      content = formatVtt(sorted, language);
+      break;
+    case 'json':
+      content = formatJson(sorted, { roomId, exportedAt });
+      break;
+    default:
+      content = formatText(sorted, { roomId, exportedAt, language });
+  }
+
+  return {
+    content,
+    mimeType: formatInfo.mimeType,
+    filename: `interpify-${roomId}${language ? `-${language}` : ''}.${formatInfo.extension}`
+  };
+}
+
+export { TRANSCRIPT_FORMATS, exportTranscript };
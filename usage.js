@@ -0,0 +1,84 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// usage.js
+//
+// Usage metering for the speech pipeline. Every pipeline call reports what
+// it consumed, tagged with the provider that served it:
+//   { provider, audioSeconds }                transcription
+//   { provider, inputTokens, outputTokens }   translation
+//   { provider, ttsCharacters }               speech
+// meterUsage() turns a report into counters with an estimated cost in US
+// dollars, which the room store adds up per room, per user and for the
+// whole deployment.
+
+import { getConfig } from './config.js';
+
+const USAGE_COUNTERS = ['audioSeconds', 'inputTokens', 'outputTokens', 'ttsCharacters', 'cost'];
+
+// List prices of the models the openai provider uses (PRICE_* settings in
+// config.js, to follow price list changes). Local engines and the fake
+// provider are free.
+function providerPrices(provider) {
+  if (provider !== 'openai') {
+    return null;
+  }
+  const { priceAudioMinute, priceInputTokens, priceOutputTokens, priceTtsCharacters } = getConfig();
+  return {
+    audioMinute: priceAudioMinute,
+    inputTokens: priceInputTokens,
+    outputTokens: priceOutputTokens,
+    ttsCharacters: priceTtsCharacters
+  };
+}
+
+const emptyUsage = () => Object.fromEntries(USAGE_COUNTERS.map(counter => [counter, 0]));
+
+// Sum of two sets of counters; total may be missing for the first record
+function addUsage(total, usage) {
+  return Object.fromEntries(USAGE_COUNTERS.map(counter => [
+    counter,
+    (total?.[counter] || 0) + (usage[counter] || 0)
+  ]));
+}
+
+// Counters for one usage report, priced by its provider
+function meterUsage({ provider, audioSeconds = 0, inputTokens = 0, outputTokens = 0, ttsCharacters = 0 }) {
+  const prices = providerPrices(provider);
+  const cost = prices
+    ? audioSeconds / 60 * prices.audioMinute +
+      (inputTokens * prices.inputTokens + outputTokens * prices.outputTokens + ttsCharacters * prices.ttsCharacters) / 1e6
+    : 0;
+  return { audioSeconds, inputTokens, outputTokens, ttsCharacters, cost };
+}
+
+// Counters rounded for reporting: tenths of a second, whole tokens and
+// characters, and the cost to a millionth of a dollar
+function roundUsage(usage) {
+  return {
+    ...usage,
+    audioSeconds: Math.round(usage.audioSeconds * 10) / 10,
+    inputTokens: Math.round(usage.inputTokens),
+    outputTokens: Math.round(usage.outputTokens),
+    ttsCharacters: Math.round(usage.ttsCharacters),
+    cost: Math.round(usage.cost * 1e6) / 1e6
+  };
+}
+
+export { USAGE_COUNTERS, emptyUsage, addUsage, meterUsage, roundUsage };
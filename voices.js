@@ -0,0 +1,155 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// voices.js
+//
+// Text-to-speech voices and audio output preferences. Speakers choose the
+// voice their words are rendered in; listeners choose playback speed and
+// output format.
+
+// Voices offered by the hosted TTS model. The local provider ignores the
+// voice and speaks with the engine's voice for the language.
+const TTS_VOICES = ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'];
+
+const AUDIO_FORMATS = {
+  mp3: { mimeType: 'audio/mpeg' },
+  opus: { mimeType: 'audio/ogg' },
+  aac: { mimeType: 'audio/aac' }
+};
+
+// Speed range accepted by the TTS providers
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 4.0;
+
+// Language to voice mapping for better TTS results
+const LANGUAGE_TO_VOICE = {
+  af: 'alloy',    // Afrikaans
+  sq: 'alloy',    // Albanian
+  am: 'alloy',    // Amharic
+  ar: 'nova',     // Arabic
+  hy: 'alloy',    // Armenian
+  az: 'alloy',    // Azerbaijani
+  eu: 'alloy',    // Basque
+  be: 'alloy',    // Belarusian
+  bn: 'nova',     // Bengali
+  bs: 'alloy',    // Bosnian
+  bg: 'alloy',    // Bulgarian
+  ca: 'nova',     // Catalan
+  'zh-CN': 'nova', // Chinese Simplified
+  'zh-TW': 'nova', // Chinese Traditional
+  hr: 'alloy',    // Croatian
+  cs: 'alloy',    // Czech
+  da: 'nova',     // Danish
+  nl: 'nova',     // Dutch
+  en: 'alloy',    // English
+  et: 'alloy',    // Estonian
+  fi: 'nova',     // Finnish
+  fr: 'nova',     // French
+  ka: 'alloy',    // Georgian
+  de: 'nova',     // German
+  el: 'nova',     // Greek
+  gu: 'alloy',    // Gujarati
+  ht: 'alloy',    // Haitian Creole
+  he: 'nova',     // Hebrew
+  hi: 'nova',     // Hindi
+  hu: 'alloy',    // Hungarian
+  is: 'alloy',    // Icelandic
+  ig: 'alloy',    // Igbo
+  id: 'nova',     // Indonesian
+  ga: 'alloy',    // Irish
+  it: 'nova',     // Italian
+  ja: 'nova',     // Japanese
+  jv: 'alloy',    // Javanese
+  kk: 'alloy',    // Kazakh
+  km: 'alloy',    // Khmer
+  ko: 'nova',     // Korean
+  ku: 'alloy',    // Kurdish
+  lv: 'alloy',    // Latvian
+  lt: 'alloy',    // Lithuanian
+  mk: 'alloy',    // Macedonian
+  ms: 'nova',     // Malay
+  mt: 'alloy',    // Maltese
+  mr: 'nova',     // Marathi
+  mn: 'alloy',    // Mongolian
+  ne: 'alloy',    // Nepali
+  no: 'nova',     // Norwegian
+  fa: 'nova',     // Persian
+  pl: 'nova',     // Polish
+  pt: 'nova',     // Portuguese
+  pa: 'nova',     // Punjabi
+  ro: 'nova',     // Romanian
+  ru: 'alloy',    // Russian
+  sr: 'alloy',    // Serbian
+  si: 'alloy',    // Sinhala
+  sk: 'alloy',    // Slovak
+  sl: 'alloy',    // Slovenian
+  so: 'alloy',    // Somali
+  es: 'nova',     // Spanish
+  sw: 'alloy',    // Swahili
+  sv: 'nova',     // Swedish
+  ta: 'nova',     // Tamil
+  te: 'nova',     // Telugu
+  th: 'nova',     // Thai
+  tr: 'nova',     // Turkish
+  uk: 'nova',     // Ukrainian
+  ur: 'nova',     // Urdu
+  uz: 'alloy',    // Uzbek
+  vi: 'nova',     // Vietnamese
+  cy: 'alloy',    // Welsh
+  xh: 'alloy',    // Xhosa
+  yo: 'alloy',    // Yoruba
+  zu: 'alloy',    // Zulu
+};
+
+// Default voice for a language when the speaker has not picked one
+const defaultVoice = (language) => (Object.hasOwn(LANGUAGE_TO_VOICE, language) ? LANGUAGE_TO_VOICE[language] : 'alloy');
+
+// Clean up client-supplied preferences, falling back to the defaults
+function normalizeAudioPreferences({ voice, speed, audioFormat } = {}) {
+  const parsedSpeed = Number(speed);
+  return {
+    voice: TTS_VOICES.includes(voice) ? voice : null,
+    speed: Number.isFinite(parsedSpeed)
+      ? Math.min(MAX_SPEED, Math.max(MIN_SPEED, parsedSpeed))
+      : 1.0,
+    // Own keys only: 'toString' and friends are not formats
+    audioFormat: Object.hasOwn(AUDIO_FORMATS, audioFormat) ? audioFormat : 'mp3'
+  };
+}
+
+// Pick the voice used least by the other speakers in a room, so listeners
+// can tell people apart. Ties go to the language default, then list order.
+function pickDistinctVoice(language, takenVoices) {
+  const usage = new Map(TTS_VOICES.map(voice => [voice, 0]));
+  takenVoices.forEach(voice => {
+    if (usage.has(voice)) usage.set(voice, usage.get(voice) + 1);
+  });
+  const fewest = Math.min(...usage.values());
+  const preferred = defaultVoice(language);
+  return usage.get(preferred) === fewest
+    ? preferred
+    : TTS_VOICES.find(voice => usage.get(voice) === fewest);
+}
+
+export {
+  TTS_VOICES,
+  AUDIO_FORMATS,
+  defaultVoice,
+  normalizeAudioPreferences,
+  pickDistinctVoice
+};
@@ -0,0 +1,239 @@
+/*
+    Interpify - Real-time voice translation platform
+    Copyright (C) 2024  Joshua Covelli (absolem)
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+// webhooks.js
+//
+// Outbound webhooks. Room and transcript events are POSTed as JSON to the
+// deployment's subscriptions and to those registered for the event's room:
+//   { id, event, createdAt, data }
+// Requests carry X-Interpify-Event, X-Interpify-Delivery (the event ID,
+// the same for every retry), X-Interpify-Timestamp and
+// X-Interpify-Signature: "sha256=" and the hex HMAC-SHA256 of
+// "<timestamp>.<body>" with the subscription's secret.
+//
+// Network errors, timeouts, 429 and 5xx responses are retried with
+// exponential backoff; other responses are final. The outcome of recent
+// deliveries is kept in a bounded in-memory log for this instance.
+
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+const WEBHOOK_EVENTS = ['room.created', 'room.ended', 'user.joined', 'user.left', 'utterance.finalized'];
+
+const DEFAULT_LOG_SIZE = 500;
+
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Subscriptions with no event list get every event
+const wantsEvent = (subscription, event) =>
+  !subscription.events || subscription.events.length === 0 || subscription.events.includes(event);
+
+const isRetryable = (status) => status === 429 || status >= 500;
+
+// Delivery log entries show where a webhook went without query strings,
+// which may hold credentials
+function displayUrl(url) {
+  try {
+    const { origin, pathname } = new URL(url);
+    return origin + pathname;
+  } catch {
+    return '[invalid url]';
+  }
+}
+
+// Check a webhook URL given through the API. Returns an error message, or
+// null when the URL may be used. allowedHosts limits where hosts may send
+// their room's events; null allows any https URL.
+function validateWebhookUrl(url, allowedHosts = null) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'Invalid webhook URL';
+  }
+  if (parsed.protocol !== 'https:') {
+    return 'Webhook URLs must use https';
+  }
+  if (parsed.username || parsed.password) {
+    return 'Webhook URLs cannot contain credentials';
+  }
+  if (allowedHosts && !allowedHosts.includes(parsed.hostname)) {
+    return 'Webhooks cannot be sent to this host';
+  }
+  return null;
+}
+
+// Options:
+//   subscriptions  deployment-wide [{ url, events, secret }]
+//   maxAttempts    attempts per delivery, the first one included
+//   retryDelay     ms before the first retry, doubled for each one after
+//   timeout        ms a receiver gets to answer one attempt
+//   logSize        deliveries kept in the log
+//   onOutcome      called with (event, outcome) for every attempt, where
+//                  outcome is delivered, retried or failed
+function createWebhookDispatcher({ subscriptions = [], maxAttempts, retryDelay, timeout, logSize = DEFAULT_LOG_SIZE, onOutcome = () => {} }) {
+  const deliveryLog = [];
+  const inFlight = new Set();
+
+  function addToLog(delivery) {
+    deliveryLog.push(delivery);
+    if (deliveryLog.length > logSize) {
+      deliveryLog.shift();
+    }
+  }
+
+  async function attempt(delivery, subscription, body) {
+    delivery.attempts++;
+    delivery.lastAttemptAt = new Date().toISOString();
+    delivery.nextAttemptAt = null;
+
+    const timestamp = String(Date.now());
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Interpify-Webhooks',
+          'X-Interpify-Event': delivery.event,
+          'X-Interpify-Delivery': delivery.eventId,
+          'X-Interpify-Timestamp': timestamp,
+          'X-Interpify-Signature': signPayload(subscription.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeout)
+      });
+      // Only the status matters; release the connection
+      response.body?.cancel().catch(() => {});
+
+      delivery.responseStatus = response.status;
+      if (response.ok) {
+        delivery.status = 'delivered';
+        delivery.error = null;
+        onOutcome(delivery.event, 'delivered');
+        return;
+      }
+      delivery.error = `HTTP ${response.status}`;
+      if (!isRetryable(response.status)) {
+        fail(delivery);
+        return;
+      }
+    } catch (error) {
+      delivery.error = error.name === 'TimeoutError' ? 'Timed out' : error.message;
+    }
+
+    if (delivery.attempts >= maxAttempts) {
+      fail(delivery);
+      return;
+    }
+
+    const delay = retryDelay * 2 ** (delivery.attempts - 1);
+    delivery.status = 'retrying';
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    onOutcome(delivery.event, 'retried');
+    setTimeout(() => send(delivery, subscription, body), delay).unref();
+  }
+
+  function fail(delivery) {
+    delivery.status = 'failed';
+    onOutcome(delivery.event, 'failed');
+    logger.warn('Webhook delivery failed', {
+      event: delivery.event,
+      eventId: delivery.eventId,
+      url: delivery.url,
+      attempts: delivery.attempts,
+      reason: delivery.error
+    });
+  }
+
+  function send(delivery, subscription, body) {
+    const running = attempt(delivery, subscription, body).catch(error => {
+      logger.error('Webhook delivery crashed', { eventId: delivery.eventId, error });
+    });
+    inFlight.add(running);
+    running.finally(() => inFlight.delete(running));
+  }
+
+  // Send an event to every deployment subscription and the given room
+  // subscriptions that want it. Returns right away; deliveries run in the
+  // background.
+  function dispatch(event, data, roomSubscriptions = []) {
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    };
+    const body = JSON.stringify(payload);
+
+    const targets = [
+      ...subscriptions.map(subscription => ({ subscription, scope: 'deployment' })),
+      ...roomSubscriptions.map(subscription => ({ subscription, scope: 'room' }))
+    ];
+    for (const { subscription, scope } of targets) {
+      if (!wantsEvent(subscription, event)) {
+        continue;
+      }
+      const delivery = {
+        eventId: payload.id,
+        event,
+        scope,
+        roomId: data.roomId || null,
+        subscriptionId: subscription.id || null,
+        url: displayUrl(subscription.url),
+        status: 'pending',
+        attempts: 0,
+        responseStatus: null,
+        error: null,
+        createdAt: payload.createdAt,
+        lastAttemptAt: null,
+        nextAttemptAt: null
+      };
+      addToLog(delivery);
+      send(delivery, subscription, body);
+    }
+  }
+
+  // Recent deliveries, newest first, optionally only those for one room
+  // and of one scope ('deployment' or 'room')
+  function deliveries({ roomId = null, scope = null, limit = 100 } = {}) {
+    return deliveryLog
+      .filter(delivery => (!roomId || delivery.roomId === roomId) && (!scope || delivery.scope === scope))
+      .slice(-limit)
+      .reverse()
+      .map(delivery => ({ ...delivery }));
+  }
+
+  // Wait up to timeoutMs for attempts in progress, e.g. before shutting
+  // down. Scheduled retries are not waited for.
+  async function flush(timeoutMs) {
+    let timer;
+    await Promise.race([
+      Promise.allSettled(Array.from(inFlight)),
+      new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); })
+    ]);
+    clearTimeout(timer);
+  }
+
+  return { dispatch, deliveries, flush };
+}
+
+export { WEBHOOK_EVENTS, createWebhookDispatcher, signPayload, validateWebhookUrl };